@@ -0,0 +1,153 @@
+// lib/auth.js — request authentication
+//
+// - Twilio webhooks: X-Twilio-Signature (HMAC-SHA1 of URL + sorted POST params)
+// - Media streams: a signed, expiring, single-use token in the Stream URL path
+// - HTTP API and dashboard: API_TOKEN as a bearer token (or ?token=)
+// - Links posted to chat: an expiring HMAC over the path (recording downloads)
+// - Chat commands: allowlists of sender and group ids
+
+import crypto from "node:crypto";
+import { log } from "./log.js";
+
+// Constant-time string compare for secrets and signatures
+export function safeEqual(a, b) {
+  const ab = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+// === Twilio request signatures ===
+// https://www.twilio.com/docs/usage/security#validating-requests
+export function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => {
+      const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+      return acc + values.map((v) => key + v).join("");
+    }, url);
+
+  return crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf8")).digest("base64");
+}
+
+export function validateTwilioSignature(authToken, url, params, signature) {
+  if (!authToken || !signature) return false;
+  return safeEqual(twilioSignature(authToken, url, params), signature);
+}
+
+// Express middleware. Twilio signs the public https URL it requested, so
+// rebuild it from BASE_HOST (or the Host header) rather than req.protocol,
+// which is plain http behind the hosting proxy.
+export function requireTwilioSignature(req, res, next) {
+  if (process.env.TWILIO_VALIDATE_SIGNATURES === "0") return next();
+
+  const host = process.env.BASE_HOST || req.get("host");
+  const url = `https://${host}${req.originalUrl}`;
+  const params = req.method === "POST" ? req.body || {} : {};
+
+  if (!validateTwilioSignature(process.env.TWILIO_AUTH_TOKEN, url, params, req.get("x-twilio-signature"))) {
+    log.warn("Rejected unsigned Twilio request", { method: req.method, path: req.originalUrl, ip: req.ip });
+    return res.status(403).send("forbidden");
+  }
+  next();
+}
+
+// === API token ===
+// Express middleware for /api, /metrics and /dashboard. Fails closed: with
+// no API_TOKEN configured every request is refused (503), since the API
+// serves transcripts and phone numbers and can place calls.
+export function requireApiToken(req, res, next) {
+  const token = process.env.API_TOKEN;
+  if (!token) return res.status(503).json({ error: "API_TOKEN is not set; the API is off" });
+
+  const given = (req.get("authorization") || "").replace(/^Bearer\s+/i, "") || req.query.token;
+  if (!safeEqual(given, token)) return res.status(401).json({ error: "unauthorized" });
+  next();
+}
+
+// === Media stream tokens ===
+// Twilio does not allow query strings on <Stream url>, so the token is the
+// last path segment: wss://host/twilio/<token>
+
+const usedNonces = new Map(); // nonce -> expiry (ms), so a token works once
+
+function streamSecret() {
+  return process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN || "";
+}
+
+function hmac(payload) {
+  return crypto.createHmac("sha256", streamSecret()).update(payload).digest("base64url");
+}
+
+export function signStreamToken(ttlMs = Number(process.env.STREAM_TOKEN_TTL_MS) || 15 * 60 * 1000) {
+  const payload = Buffer.from(
+    JSON.stringify({ n: crypto.randomBytes(9).toString("base64url"), exp: Date.now() + ttlMs })
+  ).toString("base64url");
+
+  return `${payload}.${hmac(payload)}`;
+}
+
+// Returns null when valid, otherwise the reason it was rejected
+export function checkStreamToken(token) {
+  if (!streamSecret()) return "no stream token secret configured";
+
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig || !safeEqual(hmac(payload), sig)) return "bad signature";
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return "malformed token";
+  }
+
+  const now = Date.now();
+  if (!claims.exp || claims.exp < now) return "expired";
+  if (usedNonces.has(claims.n)) return "already used";
+
+  for (const [nonce, exp] of usedNonces) {
+    if (exp < now) usedNonces.delete(nonce);
+  }
+  usedNonces.set(claims.n, claims.exp);
+  return null;
+}
+
+// === Signed links ===
+// Chat links can't carry API_TOKEN, so they carry ?expires=&sig= instead
+
+function linkSig(pathname, expires) {
+  const secret = process.env.LINK_SECRET || streamSecret();
+  return crypto.createHmac("sha256", secret).update(`${pathname}:${expires}`).digest("base64url");
+}
+
+export function signPath(pathname, ttlMs) {
+  const expires = Date.now() + ttlMs;
+  return `${pathname}?expires=${expires}&sig=${linkSig(pathname, expires)}`;
+}
+
+export function checkSignedPath(pathname, { expires, sig }) {
+  if (!streamSecret() && !process.env.LINK_SECRET) return false;
+  if (!expires || Number(expires) < Date.now()) return false;
+  return safeEqual(linkSig(pathname, expires), sig);
+}
+
+// === Chat sender allowlists ===
+// "12345, slack:U0123" -> ["12345", "slack:U0123"]
+export function idList(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Commands place paid calls, so with neither list configured nobody is
+// allowed. Otherwise the id must be on every list that is set.
+export function isAllowedSender({ userId, groupId }, { users, groups }) {
+  const allowedUsers = idList(users);
+  const allowedGroups = idList(groups);
+
+  if (!allowedUsers.length && !allowedGroups.length) return false;
+
+  if (allowedUsers.length && !allowedUsers.includes(String(userId))) return false;
+  if (allowedGroups.length && !allowedGroups.includes(String(groupId))) return false;
+  return true;
+}
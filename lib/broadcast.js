@@ -0,0 +1,87 @@
+// lib/broadcast.js — one message to many people, a few calls at a time
+//
+// Batches live in DATA_DIR/broadcasts.json so a restart neither forgets who
+// is still queued nor loses the results gathered so far. Each recipient goes
+// queued -> calling -> done, and done recipients carry a result:
+//   "reached" | "voicemail" | "no_answer" | "failed"
+
+import { readJson, writeJson } from "./store.js";
+
+const FILE = "broadcasts.json";
+
+let state = null; // { nextId, batches: [{ id, prompt, recipients, createdAt, finishedAt, … }] }
+
+function load() {
+  if (!state) state = readJson(FILE, { nextId: 1, batches: [] });
+  return state;
+}
+
+function save() {
+  writeJson(FILE, state);
+}
+
+export function broadcastConcurrency() {
+  return Math.max(1, Number(process.env.BROADCAST_CONCURRENCY) || 2);
+}
+
+// recipients: [{ to, name }]; extra fields (channel, persona, …) are kept as given
+export function createBroadcast({ recipients, prompt, ...extra }) {
+  const s = load();
+  const batch = {
+    ...extra,
+    id: s.nextId++,
+    prompt,
+    recipients: recipients.map(({ to, name = null }) => ({
+      to,
+      name,
+      status: "queued",
+      callId: null,
+      result: null,
+      detail: null, // e.g. "busy", a Twilio error, or the reply they left
+    })),
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  s.batches.push(batch);
+  save();
+  return batch;
+}
+
+export function getBroadcast(id) {
+  return load().batches.find((b) => b.id === Number(id)) || null;
+}
+
+export function unfinishedBroadcasts() {
+  return load().batches.filter((b) => !b.finishedAt);
+}
+
+// Marks and returns the recipients to dial now, so two callers racing for
+// free slots can never dial the same person twice
+export function takeNextRecipients(batch) {
+  const calling = batch.recipients.filter((r) => r.status === "calling").length;
+  const next = batch.recipients
+    .filter((r) => r.status === "queued")
+    .slice(0, Math.max(0, broadcastConcurrency() - calling));
+
+  for (const r of next) r.status = "calling";
+  if (next.length) save();
+  return next;
+}
+
+export function updateRecipient(batch, to, patch) {
+  const recipient = batch.recipients.find((r) => r.to === to);
+  if (!recipient) return null;
+
+  Object.assign(recipient, patch);
+  save();
+  return recipient;
+}
+
+// True once, when the last recipient is done
+export function finishIfDone(batch) {
+  if (batch.finishedAt || batch.recipients.some((r) => r.status !== "done")) return false;
+
+  batch.finishedAt = new Date().toISOString();
+  save();
+  return true;
+}
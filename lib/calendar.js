@@ -0,0 +1,231 @@
+// lib/calendar.js — free/busy lookups against a local .ics file
+//
+// Only what availability needs: VEVENT start/end (UTC, TZID, floating and
+// all-day forms), DURATION, and skipping cancelled or "free" (TRANSPARENT)
+// events. Recurring events are expanded for FREQ=DAILY and WEEKLY (INTERVAL,
+// COUNT, UNTIL, BYDAY, EXDATE and moved occurrences); any other rule makes
+// the answer "unknown" rather than free.
+
+import fs from "node:fs";
+import { defaultTimeZone, isValidTimeZone, zonedParts, zonedTimeToDate, formatWhen } from "./timeparse.js";
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function unfold(text) {
+  return text.replace(/\r?\n[ \t]/g, "");
+}
+
+// "DTSTART;TZID=America/Denver:20261020T090000" -> { name, params, value }
+function parseLine(line) {
+  const colon = line.indexOf(":");
+  if (colon < 0) return null;
+
+  const [name, ...paramList] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const p of paramList) {
+    const [k, v = ""] = p.split("=");
+    params[k.toUpperCase()] = v.replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1).trim() };
+}
+
+function parseIcsDate({ value, params }, timeZone) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+
+  const [, year, month, day, hour = "0", minute = "0", second = "0", utc] = m;
+  const parts = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute };
+
+  if (utc) return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, +second));
+
+  try {
+    return zonedTimeToDate(parts, params.TZID || timeZone);
+  } catch {
+    return zonedTimeToDate(parts, timeZone); // unknown TZID
+  }
+}
+
+// "PT1H30M", "P1D", "P2W"
+function durationMs(value) {
+  const m = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return 0;
+  const [, , w = 0, d = 0, h = 0, min = 0, s = 0] = m;
+  return ((+w * 7 + +d) * 86400 + +h * 3600 + +min * 60 + +s) * 1000;
+}
+
+function readEvent(props, timeZone) {
+  const start = parseIcsDate(props.DTSTART, timeZone);
+  if (!start) return null;
+
+  const allDay = props.DTSTART.params.VALUE === "DATE" || /^\d{8}$/.test(props.DTSTART.value);
+  let end = props.DTEND && parseIcsDate(props.DTEND, timeZone);
+  if (!end && props.DURATION) end = new Date(start.getTime() + durationMs(props.DURATION.value));
+  if (!end) end = allDay ? new Date(start.getTime() + 86400 * 1000) : start;
+
+  const event = { start, end, allDay, uid: props.UID?.value };
+  // Cancelled and "free" events are kept so they can still replace an occurrence
+  event.free = props.STATUS?.value === "CANCELLED" || props.TRANSP?.value === "TRANSPARENT";
+  // A moved or cancelled occurrence of a series
+  if (props["RECURRENCE-ID"]) event.recurrenceId = parseIcsDate(props["RECURRENCE-ID"], timeZone);
+  if (props.RRULE) {
+    // Occurrences repeat at the same wall-clock time in the event's zone
+    const tzid = props.DTSTART.params.TZID;
+    event.rrule = props.RRULE.value;
+    event.zone = /Z$/.test(props.DTSTART.value) ? "UTC" : tzid && isValidTimeZone(tzid) ? tzid : timeZone;
+    event.exdates = (props.EXDATE || []).flatMap((line) =>
+      line.value.split(",").map((value) => parseIcsDate({ ...line, value }, timeZone)?.getTime())
+    );
+  }
+  return event;
+}
+
+// "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10" -> { freq, interval, count, until, byDay, weekStart },
+// or null for a rule we can't expand (other frequencies or BY* parts)
+function parseRrule(value, zone) {
+  const parts = {};
+  for (const p of value.split(";")) {
+    const [k, v = ""] = p.split("=");
+    parts[k.toUpperCase()] = v.toUpperCase();
+  }
+  const { FREQ, INTERVAL = "1", COUNT, UNTIL, BYDAY, WKST = "MO", ...rest } = parts;
+  if (!["DAILY", "WEEKLY"].includes(FREQ) || Object.keys(rest).length) return null;
+
+  const interval = Number(INTERVAL);
+  const byDay = BYDAY ? BYDAY.split(",").map((d) => WEEKDAYS.indexOf(d)) : null;
+  const until = UNTIL ? parseIcsDate({ value: UNTIL, params: {} }, zone) : null;
+  const weekStart = WEEKDAYS.indexOf(WKST);
+  if (!(interval >= 1) || (COUNT && !(Number(COUNT) >= 1)) || (UNTIL && !until) || byDay?.includes(-1) || weekStart < 0) {
+    return null;
+  }
+
+  return { freq: FREQ, interval, count: COUNT ? Number(COUNT) : Infinity, until, byDay, weekStart };
+}
+
+// Occurrences of a recurring event that start before `to`, or null when its
+// rule can't be expanded
+function occurrencesBefore(event, to) {
+  const rule = parseRrule(event.rrule, event.zone);
+  if (!rule) return null;
+
+  const first = zonedParts(event.start, event.zone);
+  const length = event.end - event.start;
+  const days = rule.byDay || (rule.freq === "WEEKLY" ? [first.weekday] : null);
+  const occurrences = [];
+
+  for (let i = 0, n = 0; n < rule.count; i++) {
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + i));
+    const weekday = date.getUTCDay();
+    const period = rule.freq === "DAILY" ? i : Math.floor((i + ((first.weekday - rule.weekStart + 7) % 7)) / 7);
+    // DTSTART is always the first occurrence
+    if (i > 0 && (period % rule.interval || (days && !days.includes(weekday)))) continue;
+
+    const start = zonedTimeToDate(
+      { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: first.hour, minute: first.minute },
+      event.zone
+    );
+    if (start >= to || (rule.until && start > rule.until)) break;
+    n++;
+    if (!event.exdates.includes(start.getTime())) {
+      occurrences.push({ start, end: new Date(start.getTime() + length), allDay: event.allDay, uid: event.uid });
+    }
+  }
+  return occurrences;
+}
+
+export function parseIcs(text, timeZone = defaultTimeZone()) {
+  const events = [];
+  let current = null;
+
+  for (const raw of unfold(text).split(/\r?\n/)) {
+    const line = parseLine(raw);
+    if (!line) continue;
+
+    if (line.name === "BEGIN" && line.value === "VEVENT") {
+      current = {};
+    } else if (line.name === "END" && line.value === "VEVENT" && current) {
+      const event = current.DTSTART && readEvent(current, timeZone);
+      if (event) events.push(event);
+      current = null;
+    } else if (current && line.name === "EXDATE") {
+      (current.EXDATE ||= []).push(line);
+    } else if (current) {
+      current[line.name] = line;
+    }
+  }
+
+  return events;
+}
+
+function loadEvents(file, timeZone) {
+  return parseIcs(fs.readFileSync(file, "utf8"), timeZone);
+}
+
+// Events overlapping [from, to), with recurring ones expanded. A series whose
+// rule can't be expanded adds { unknown: true } once it has started.
+export function busyBetween(file, from, to, timeZone = defaultTimeZone()) {
+  const events = loadEvents(file, timeZone);
+  const moved = new Set(events.filter((e) => e.recurrenceId).map((e) => `${e.uid} ${e.recurrenceId.getTime()}`));
+  const busy = [];
+
+  for (const event of events) {
+    if (event.free) continue;
+    if (!event.rrule) {
+      busy.push(event);
+      continue;
+    }
+    const occurrences = occurrencesBefore(event, to);
+    if (occurrences) {
+      busy.push(...occurrences.filter((o) => !moved.has(`${o.uid} ${o.start.getTime()}`)));
+    } else {
+      // Only the first occurrence is known; after it, any time may be busy
+      busy.push(event);
+      if (event.start < to) busy.push({ ...event, unknown: true });
+    }
+  }
+
+  return busy
+    .filter((e) => e.unknown || (e.start < to && e.end > from))
+    .map(({ start, end, allDay, unknown }) => ({ start, end, allDay, ...(unknown && { unknown }) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+const UNKNOWN_NOTE = "A repeating event on the calendar could not be read, so this time may be busy. Don't say it's free.";
+
+// { date: "2026-10-20", time?: "15:00", durationMinutes? } in timeZone.
+// With a time: whether that slot is free. Without: the busy blocks that day.
+// Event titles are never returned, only times.
+export function checkAvailability(file, { date, time, durationMinutes = 30 }, timeZone = defaultTimeZone()) {
+  const d = String(date || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!d) return { error: "date must be YYYY-MM-DD" };
+  const day = { year: +d[1], month: +d[2], day: +d[3] };
+
+  const describe = (e) =>
+    e.allDay ? { allDay: true } : { start: formatWhen(e.start, timeZone), end: formatWhen(e.end, timeZone) };
+
+  if (time) {
+    const t = String(time).match(/^(\d{1,2}):(\d{2})$/);
+    if (!t) return { error: "time must be HH:MM (24-hour)" };
+
+    const start = zonedTimeToDate({ ...day, hour: +t[1], minute: +t[2] }, timeZone);
+    const end = new Date(start.getTime() + (Number(durationMinutes) || 30) * 60 * 1000);
+    const busy = busyBetween(file, start, end, timeZone);
+    const conflicts = busy.filter((e) => !e.unknown);
+    const unknown = !conflicts.length && busy.length > 0;
+    return {
+      start: formatWhen(start, timeZone),
+      end: formatWhen(end, timeZone),
+      available: unknown ? "unknown" : conflicts.length === 0,
+      conflicts: conflicts.map(describe),
+      ...(unknown && { note: UNKNOWN_NOTE }),
+    };
+  }
+
+  const from = zonedTimeToDate(day, timeZone);
+  const to = new Date(from.getTime() + 86400 * 1000);
+  const busy = busyBetween(file, from, to, timeZone);
+  return {
+    date,
+    busy: busy.filter((e) => !e.unknown).map(describe),
+    ...(busy.some((e) => e.unknown) && { note: UNKNOWN_NOTE }),
+  };
+}
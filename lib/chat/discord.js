@@ -0,0 +1,90 @@
+// lib/chat/discord.js — Discord interactions adapter
+//
+// Discord only delivers plain channel messages over its gateway socket, so
+// commands come in as a slash command registered by the app:
+//   /relay command:<text>   e.g. /relay command:call Dr. Lee and tell her hi
+// Set the Interactions Endpoint URL to https://<BASE_HOST>/chat/discord.
+
+import crypto from "node:crypto";
+import fetch from "node-fetch";
+import { chunkText } from "./util.js";
+
+const MAX_LENGTH = 2000;
+
+// DER prefix that turns a raw 32-byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+function verify(req) {
+  const publicKey = process.env.DISCORD_PUBLIC_KEY;
+  if (!publicKey) return "DISCORD_PUBLIC_KEY not set";
+
+  const signature = req.get("x-signature-ed25519");
+  const timestamp = req.get("x-signature-timestamp");
+  if (!signature || !timestamp) return "missing signature";
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, "hex")]),
+      format: "der",
+      type: "spki",
+    });
+    const ok = crypto.verify(
+      null,
+      Buffer.from(timestamp + (req.rawBody || "")),
+      key,
+      Buffer.from(signature, "hex")
+    );
+    return ok ? null : "bad signature";
+  } catch {
+    return "bad signature";
+  }
+}
+
+export default {
+  name: "discord",
+
+  allowlist() {
+    return {
+      users: process.env.DISCORD_ALLOWED_USER_IDS,
+      groups: process.env.DISCORD_ALLOWED_CHANNEL_IDS,
+    };
+  },
+
+  parseInbound(req) {
+    const rejected = verify(req);
+    if (rejected) return { reject: rejected };
+
+    const body = req.body || {};
+    if (body.type === 1) return { ack: { type: 1 } }; // PING
+
+    if (body.type !== 2) return {}; // only application commands
+
+    const text = String(body.data?.options?.[0]?.value || "").trim();
+    const user = body.member?.user || body.user || {};
+
+    return {
+      // Discord wants an answer within 3 seconds; the real replies follow
+      // as normal channel messages
+      ack: { type: 4, data: { content: `> ${text}` } },
+      message: {
+        text,
+        sender: { id: String(user.id || ""), name: user.global_name || user.username || null },
+        channel: { adapter: "discord", id: String(body.channel_id || "") },
+      },
+    };
+  },
+
+  async post(channel, text) {
+    for (const part of chunkText(text, MAX_LENGTH)) {
+      const res = await fetch(`${process.env.DISCORD_API_BASE || "https://discord.com/api/v10"}/channels/${channel.id}/messages`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ content: part }),
+      });
+      if (!res.ok) throw new Error(`Discord post failed: ${res.status}`);
+    }
+  },
+};
@@ -0,0 +1,55 @@
+// lib/chat/groupme.js — GroupMe bot adapter
+
+import fetch from "node-fetch";
+import { chunkText } from "./util.js";
+import { safeEqual } from "../auth.js";
+
+const MAX_LENGTH = 1000; // GroupMe rejects longer bot posts
+
+export default {
+  name: "groupme",
+
+  allowlist() {
+    return {
+      users: process.env.GROUPME_ALLOWED_USER_IDS,
+      groups: process.env.GROUPME_ALLOWED_GROUP_IDS,
+    };
+  },
+
+  parseInbound(req) {
+    // Optional shared-secret protection. GroupMe can't send custom headers,
+    // so the secret may also be put in the callback URL: /groupme?secret=…
+    if (process.env.GROUPME_SHARED_SECRET) {
+      const given = req.get("x-shared-secret") || req.query.secret;
+      if (!safeEqual(given, process.env.GROUPME_SHARED_SECRET)) {
+        return { reject: "bad shared secret" };
+      }
+    }
+
+    // Ignore messages from the bot itself
+    if (req.body?.sender_type === "bot") return {};
+
+    return {
+      message: {
+        text: (req.body?.text || "").trim(),
+        sender: { id: String(req.body?.user_id || ""), name: req.body?.name || null },
+        channel: { adapter: "groupme", id: String(req.body?.group_id || "") },
+      },
+    };
+  },
+
+  // The bot is tied to one group, so the channel id is informational
+  async post(_channel, text) {
+    for (const part of chunkText(text, MAX_LENGTH)) {
+      const res = await fetch(`${process.env.GROUPME_API_BASE || "https://api.groupme.com"}/v3/bots/post`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          bot_id: process.env.GROUPME_BOT_ID,
+          text: part,
+        }),
+      });
+      if (!res.ok) throw new Error(`GroupMe post failed: ${res.status}`);
+    }
+  },
+};
@@ -0,0 +1,55 @@
+// lib/chat/index.js — chat transports behind one interface
+//
+// An adapter is { name, allowlist(), parseInbound(req), post(channel, text) }.
+// parseInbound returns any of:
+//   { reject: "reason" }  request failed verification (403)
+//   { ack: body }         JSON the platform expects back right away
+//   { message }           a command: { text, sender: { id, name }, channel }
+//
+// A channel is a plain, JSON-safe address such as { adapter: "slack", id: "C123" },
+// so it can be stored with scheduled jobs and call records.
+
+import groupme from "./groupme.js";
+import slack from "./slack.js";
+import telegram from "./telegram.js";
+import discord from "./discord.js";
+import webhook from "./webhook.js";
+import { log } from "../log.js";
+import { counter } from "../metrics.js";
+
+const adapters = { groupme, slack, telegram, discord, webhook };
+
+const postFailures = counter("relaybot_chat_post_failures_total", "Chat posts that failed, by transport", {
+  labelNames: ["adapter"],
+});
+
+export function getAdapter(name) {
+  return adapters[name] || null;
+}
+
+// Where to post when no one asked (inbound calls, calls placed before an
+// upgrade): CHAT_DEFAULT_CHANNEL="slack:C0123" or just "groupme"
+export function defaultChannel() {
+  const [adapter, ...id] = (process.env.CHAT_DEFAULT_CHANNEL || "groupme").split(":");
+  return { adapter, id: id.join(":") || null };
+}
+
+// Posting never throws: a chat outage must not break a live call
+export async function postToChannel(channel, text) {
+  const target = channel || defaultChannel();
+  const adapter = getAdapter(target.adapter);
+  if (!adapter) {
+    log.error("No chat adapter with that name", { adapter: target.adapter });
+    postFailures.inc({ adapter: String(target.adapter) });
+    return false;
+  }
+
+  try {
+    await adapter.post(target, text);
+    return true;
+  } catch (err) {
+    log.error("Chat post failed", { adapter: adapter.name, channel: target.id, err });
+    postFailures.inc({ adapter: adapter.name });
+    return false;
+  }
+}
@@ -0,0 +1,82 @@
+// lib/chat/slack.js — Slack Events API adapter
+//
+// Subscribe the app to message.channels / message.im (or app_mention) events
+// with the request URL https://<BASE_HOST>/chat/slack.
+
+import crypto from "node:crypto";
+import fetch from "node-fetch";
+import { chunkText } from "./util.js";
+import { safeEqual } from "../auth.js";
+
+const MAX_LENGTH = 3500;
+
+// https://api.slack.com/authentication/verifying-requests-from-slack
+function verify(req) {
+  const secret = process.env.SLACK_SIGNING_SECRET;
+  if (!secret) return "SLACK_SIGNING_SECRET not set";
+
+  const ts = req.get("x-slack-request-timestamp");
+  if (!ts || Math.abs(Date.now() / 1000 - Number(ts)) > 5 * 60) return "stale timestamp";
+
+  const expected =
+    "v0=" +
+    crypto
+      .createHmac("sha256", secret)
+      .update(`v0:${ts}:${req.rawBody || ""}`)
+      .digest("hex");
+  return safeEqual(expected, req.get("x-slack-signature")) ? null : "bad signature";
+}
+
+export default {
+  name: "slack",
+
+  allowlist() {
+    return {
+      users: process.env.SLACK_ALLOWED_USER_IDS,
+      groups: process.env.SLACK_ALLOWED_CHANNEL_IDS,
+    };
+  },
+
+  parseInbound(req) {
+    const rejected = verify(req);
+    if (rejected) return { reject: rejected };
+
+    const body = req.body || {};
+    if (body.type === "url_verification") {
+      return { ack: { challenge: body.challenge } };
+    }
+
+    // Slack re-sends events it thinks timed out; we already handled them
+    if (req.get("x-slack-retry-num")) return {};
+
+    const event = body.event || {};
+    if (!["message", "app_mention"].includes(event.type)) return {};
+    if (event.bot_id || event.subtype) return {}; // our own posts, edits, joins…
+
+    return {
+      message: {
+        text: String(event.text || "")
+          .replace(/<@[A-Z0-9]+>/g, "") // drop @bot mentions
+          .replace(/<tel:([^|>]+)(?:\|[^>]*)?>/g, "$1") // Slack auto-links numbers
+          .trim(),
+        sender: { id: event.user, name: null },
+        channel: { adapter: "slack", id: event.channel },
+      },
+    };
+  },
+
+  async post(channel, text) {
+    for (const part of chunkText(text, MAX_LENGTH)) {
+      const res = await fetch(`${process.env.SLACK_API_BASE || "https://slack.com/api"}/chat.postMessage`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`,
+          "Content-Type": "application/json; charset=utf-8",
+        },
+        body: JSON.stringify({ channel: channel.id, text: part }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!data.ok) throw new Error(`Slack post failed: ${data.error || res.status}`);
+    }
+  },
+};
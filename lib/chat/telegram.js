@@ -0,0 +1,58 @@
+// lib/chat/telegram.js — Telegram bot adapter
+//
+// Register the webhook with setWebhook?url=https://<BASE_HOST>/chat/telegram
+// &secret_token=<TELEGRAM_SECRET_TOKEN>.
+
+import fetch from "node-fetch";
+import { chunkText } from "./util.js";
+import { safeEqual } from "../auth.js";
+
+const MAX_LENGTH = 4096;
+
+export default {
+  name: "telegram",
+
+  allowlist() {
+    return {
+      users: process.env.TELEGRAM_ALLOWED_USER_IDS,
+      groups: process.env.TELEGRAM_ALLOWED_CHAT_IDS,
+    };
+  },
+
+  parseInbound(req) {
+    const secret = process.env.TELEGRAM_SECRET_TOKEN;
+    if (!secret) return { reject: "TELEGRAM_SECRET_TOKEN not set" };
+    if (!safeEqual(req.get("x-telegram-bot-api-secret-token"), secret)) {
+      return { reject: "bad secret token" };
+    }
+
+    const msg = req.body?.message;
+    if (!msg?.text || msg.from?.is_bot) return {};
+
+    return {
+      message: {
+        // "/calls@relaybot" -> "calls"
+        text: msg.text.replace(/^\/(\w+)(@\w+)?/, "$1").trim(),
+        sender: {
+          id: String(msg.from?.id || ""),
+          name: [msg.from?.first_name, msg.from?.last_name].filter(Boolean).join(" ") || null,
+        },
+        channel: { adapter: "telegram", id: String(msg.chat.id) },
+      },
+    };
+  },
+
+  async post(channel, text) {
+    for (const part of chunkText(text, MAX_LENGTH)) {
+      const res = await fetch(
+        `${process.env.TELEGRAM_API_BASE || "https://api.telegram.org"}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ chat_id: channel.id, text: part }),
+        }
+      );
+      if (!res.ok) throw new Error(`Telegram post failed: ${res.status}`);
+    }
+  },
+};
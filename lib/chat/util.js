@@ -0,0 +1,16 @@
+// lib/chat/util.js — helpers shared by the chat adapters
+
+// Split long messages on line breaks where possible
+export function chunkText(text, max) {
+  const parts = [];
+  let rest = String(text);
+
+  while (rest.length > max) {
+    let cut = rest.lastIndexOf("\n", max);
+    if (cut < max / 2) cut = max;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^\n/, "");
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
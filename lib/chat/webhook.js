@@ -0,0 +1,51 @@
+// lib/chat/webhook.js — generic JSON webhook adapter
+//
+// Inbound:  POST /chat/webhook  { "text": "...", "sender": { "id", "name" }, "channel": "..." }
+//           with header X-Webhook-Secret: <WEBHOOK_SECRET>
+// Outbound: POST <WEBHOOK_OUTBOUND_URL>  { "channel": "...", "text": "..." }
+
+import fetch from "node-fetch";
+import { safeEqual } from "../auth.js";
+
+export default {
+  name: "webhook",
+
+  allowlist() {
+    return {
+      users: process.env.WEBHOOK_ALLOWED_USER_IDS,
+      groups: process.env.WEBHOOK_ALLOWED_CHANNEL_IDS,
+    };
+  },
+
+  parseInbound(req) {
+    const secret = process.env.WEBHOOK_SECRET;
+    if (!secret) return { reject: "WEBHOOK_SECRET not set" };
+    if (!safeEqual(req.get("x-webhook-secret"), secret)) return { reject: "bad secret" };
+
+    const body = req.body || {};
+    if (typeof body.text !== "string") return {};
+
+    return {
+      message: {
+        text: body.text.trim(),
+        sender: { id: String(body.sender?.id || ""), name: body.sender?.name || null },
+        channel: { adapter: "webhook", id: body.channel ? String(body.channel) : null },
+      },
+    };
+  },
+
+  async post(channel, text) {
+    const url = process.env.WEBHOOK_OUTBOUND_URL;
+    if (!url) throw new Error("WEBHOOK_OUTBOUND_URL not set");
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.WEBHOOK_SECRET ? { "X-Webhook-Secret": process.env.WEBHOOK_SECRET } : {}),
+      },
+      body: JSON.stringify({ channel: channel.id, text }),
+    });
+    if (!res.ok) throw new Error(`Webhook post failed: ${res.status}`);
+  },
+};
@@ -0,0 +1,165 @@
+// lib/commands.js — parsing of "call …" chat commands, and plans waiting for confirmation
+
+import { parseWhen } from "./timeparse.js";
+import { findLanguage } from "./languages.js";
+import { chatCompletionJson } from "./openai.js";
+
+const TIME_WORDS =
+  "at|in|on|today|tonight|tomorrow|next|(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?";
+
+// "call 4355551212 [at 3pm tomorrow | in 20 minutes] and tell Dr. Lee the results are ready"
+// "call Dr. Lee at 3pm and tell her the results are ready"
+// "call the pharmacy and ask: is the prescription ready? what time do they close?"
+const CALL_WITH_TIME_RE = new RegExp(
+  `call\\s+(.+?)\\s*\\b((?:${TIME_WORDS})\\b.*?)\\s*,?\\s*(?:and\\s+)?(tell|say|ask)(\\s*:\\s*|\\s+)(.+)`,
+  "i"
+);
+const CALL_RE = /call\s+(.+?)\s*,?\s*(?:and\s+)?(tell|say|ask)(\s*:\s*|\s+)(.+)/i;
+const MESSAGE_START_RE = /\s*,?\s*(?:and\s+)?(?:tell|say|ask)(?:\s*:|\s)/i;
+
+// Pulls "in Spanish" out of the words before "and tell", so it is not read
+// as part of the target or the time: "call Pat at 3pm in Spanish and tell …"
+function takeLanguage(text) {
+  const start = text.search(MESSAGE_START_RE);
+  if (start < 0) return { text, language: null };
+
+  const head = text.slice(0, start);
+  for (const m of head.matchAll(/\s+in\s+([\p{L}]+)/giu)) {
+    if (!findLanguage(m[1])) continue;
+    return {
+      text: head.slice(0, m.index) + head.slice(m.index + m[0].length) + text.slice(start),
+      language: m[1],
+    };
+  }
+  return { text, language: null };
+}
+
+// "is the prescription ready? what time do they close" -> one entry per question
+export function splitQuestions(text) {
+  return String(text || "")
+    .split(/(?<=\?)|[;\n]/)
+    .map((q) => q.trim())
+    .filter(Boolean)
+    .map((q) => (q.endsWith("?") ? q : `${q}?`));
+}
+
+// "ask: …" or an "ask" with question marks gathers answers instead of
+// relaying a message
+function goalFor(verb, separator, prompt) {
+  if (verb.toLowerCase() !== "ask") return "message";
+  return separator.includes(":") || prompt.includes("?") ? "questions" : "message";
+}
+
+// Returns { target, when, language, prompt, goal } or null. `target` is a
+// number or a contact name; `when` is the raw time phrase (null for "right
+// now"); `language` is the raw language name, if one was given; `goal` is
+// "message" or "questions" (see splitQuestions).
+export function parseCallCommand(text) {
+  const { text: clean, language } = takeLanguage(String(text || "").replace(/[.,!]$/i, ""));
+
+  // Only treat the words before "and tell" as a time if they parse as one,
+  // so "call Pat at home and tell …" still dials "Pat at home".
+  const timed = clean.match(CALL_WITH_TIME_RE);
+  if (timed && parseWhen(timed[2])) {
+    const [, target, when, verb, separator, prompt] = timed;
+    return {
+      target: target.trim(),
+      when: when.trim(),
+      language,
+      prompt: prompt.trim(),
+      goal: goalFor(verb, separator, prompt),
+    };
+  }
+
+  const m = clean.match(CALL_RE);
+  if (!m) return null;
+
+  const [, target, verb, separator, prompt] = m;
+  return {
+    target: target.trim(),
+    when: null,
+    language,
+    prompt: prompt.trim(),
+    goal: goalFor(verb, separator, prompt),
+  };
+}
+
+// === Free-form requests ===
+// "ring mom and let her know I'm running late" -> the same shape as
+// parseCallCommand, read by the model. Only used when the regex above finds
+// nothing and OPENAI_API_KEY is set. `previous` is the plan being edited
+// ("make it 5pm", "in Spanish"); `names` are contact and group names.
+// Returns the command, or null when the text is not a call request.
+export async function interpretCallRequest(text, { previous = null, names = [], requester = null } = {}) {
+  const system =
+    "Turn a chat message into a phone call plan for an assistant that calls people on the sender's behalf. " +
+    'Reply with JSON: {"call": true|false, "target": string, "message": string, "mode": "message"|"questions", ' +
+    '"time": string|null, "language": string|null}.\n' +
+    "- call: false when the message is not asking for a call (or a change to the current plan).\n" +
+    "- target: a phone number as written, or one of the known names when it clearly means one of them; " +
+    'several people are joined with ", ".\n' +
+    `- message: what to tell them, written in the third person about the sender${requester ? ` (${requester})` : ""}, ` +
+    'e.g. "Oscar is running late". For mode "questions", the questions separated by "?".\n' +
+    '- mode: "questions" when the sender wants answers back, otherwise "message".\n' +
+    '- time: null for right away, else a short phrase such as "at 3pm", "tomorrow at 9am", "friday at noon" or "in 20 minutes".\n' +
+    '- language: the language to speak in English ("Spanish"), or null when none was asked for.\n' +
+    "When a current plan is given, the message is a change to it: return the whole plan with the change applied.\n" +
+    `Known names: ${names.length ? names.join(", ") : "(none)"}`;
+
+  const user = previous
+    ? `Current plan: ${JSON.stringify(planFields(previous))}\nChange: ${text}`
+    : String(text);
+
+  const plan = await chatCompletionJson([
+    { role: "system", content: system },
+    { role: "user", content: user },
+  ]);
+  if (!plan?.call || !plan.target || !plan.message) return null;
+
+  const goal = plan.mode === "questions" ? "questions" : "message";
+  return {
+    target: String(plan.target).trim(),
+    when: plan.time ? String(plan.time).trim() : null,
+    language: plan.language || null,
+    prompt: String(plan.message).trim(),
+    goal,
+  };
+}
+
+function planFields(command) {
+  return {
+    target: command.target,
+    message: command.prompt,
+    mode: command.goal,
+    time: command.when,
+    language: command.language,
+  };
+}
+
+// === Plans waiting for "yes" ===
+// One per sender per chat, in memory, dropped after CONFIRM_TIMEOUT_MINUTES
+// (default 10). A restart forgets them, which only costs a re-send.
+const pendingPlans = new Map(); // "groupme:g1:u1" -> { command, persona, override, expiresAt }
+
+function planKey(sender, channel) {
+  return `${channel?.adapter || "groupme"}:${channel?.id}:${sender?.id}`;
+}
+
+export function planTimeoutMinutes() {
+  return Number(process.env.CONFIRM_TIMEOUT_MINUTES) || 10;
+}
+
+export function savePendingPlan(sender, channel, plan) {
+  pendingPlans.set(planKey(sender, channel), { ...plan, expiresAt: Date.now() + planTimeoutMinutes() * 60 * 1000 });
+}
+
+export function pendingPlan(sender, channel) {
+  const key = planKey(sender, channel);
+  const plan = pendingPlans.get(key);
+  if (plan && plan.expiresAt <= Date.now()) pendingPlans.delete(key);
+  return pendingPlans.get(key) || null;
+}
+
+export function clearPendingPlan(sender, channel) {
+  return pendingPlans.delete(planKey(sender, channel));
+}
@@ -0,0 +1,171 @@
+// lib/contacts.js — persistent address book with fuzzy name lookup, plus
+// named groups for broadcasts
+
+import { readJson, writeJson } from "./store.js";
+
+const FILE = "contacts.json";
+const GROUPS_FILE = "contact-groups.json";
+
+let contacts = null; // [{ name, phone, addedAt, timeZone? }]
+let groups = null; // { "team": { name: "Team", members: [{ to, name }] } }
+
+function load() {
+  if (!contacts) contacts = readJson(FILE, []);
+  return contacts;
+}
+
+function save() {
+  writeJson(FILE, contacts);
+}
+
+// "Dr. Lee" -> "lee", "Mrs. O'Brien" -> "obrien"
+const TITLES = new Set(["dr", "doctor", "mr", "mrs", "ms", "miss", "prof", "professor"]);
+
+function tokens(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function key(name) {
+  const all = tokens(name);
+  const significant = all.filter((t) => !TITLES.has(t));
+  return (significant.length ? significant : all).join(" ");
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// 1 = exact, lower = fuzzier; 0 = no match
+function score(query, contact) {
+  const q = key(query);
+  const c = key(contact.name);
+  if (!q) return 0;
+  if (q === c) return 1;
+
+  const qTokens = q.split(" ");
+  const cTokens = c.split(" ");
+
+  // Every word of the query starts a word of the contact ("lee" -> "dr. lee kim")
+  if (qTokens.every((qt) => cTokens.some((ct) => ct.startsWith(qt)))) return 0.9;
+
+  // Typos: compare whole names and best word-to-word pairs
+  const whole = similarity(q, c);
+  const words =
+    qTokens.reduce(
+      (sum, qt) => sum + Math.max(...cTokens.map((ct) => similarity(qt, ct))),
+      0
+    ) / qTokens.length;
+
+  const best = Math.max(whole, words * 0.95);
+  return best >= 0.7 ? best : 0;
+}
+
+export function listContacts() {
+  return [...load()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function addContact(name, phone) {
+  const list = load();
+  const existing = list.find((c) => key(c.name) === key(name));
+
+  if (existing) {
+    existing.name = name;
+    existing.phone = phone;
+  } else {
+    list.push({ name, phone, addedAt: new Date().toISOString() });
+  }
+  save();
+  return { name, phone, updated: Boolean(existing) };
+}
+
+// Exact name only (ignoring case and titles): "Pat" must not delete "Patricia Smith"
+export function removeContact(name) {
+  const contact = load().find((c) => key(c.name) === key(name));
+  if (!contact) return null;
+
+  contacts = load().filter((c) => c !== contact);
+  save();
+  return contact;
+}
+
+// timeZone: an IANA name, or null to go back to guessing from the area code
+export function setContactTimeZone(contact, timeZone) {
+  if (timeZone) contact.timeZone = timeZone;
+  else delete contact.timeZone;
+  save();
+  return contact;
+}
+
+export function findContactByPhone(phone) {
+  return load().find((c) => c.phone === phone) || null;
+}
+
+// Returns { contact } for a confident match, { matches } when several
+// names are about equally likely, or {} when nothing is close.
+export function resolveContact(query) {
+  const ranked = load()
+    .map((contact) => ({ contact, score: score(query, contact) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (!ranked.length) return {};
+
+  const [top] = ranked;
+  const close = ranked.filter((r) => top.score - r.score < 0.05);
+
+  if (top.score === 1 || close.length === 1) return { contact: top.contact };
+  return { matches: close.map((r) => r.contact) };
+}
+
+// === Groups ===
+// Members are stored resolved ({ to, name }) so a group keeps working even
+// if a contact is later renamed.
+
+function loadGroups() {
+  if (!groups) groups = readJson(GROUPS_FILE, {});
+  return groups;
+}
+
+export function listGroups() {
+  return Object.values(loadGroups()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Exact name, ignoring case and titles
+export function findGroup(name) {
+  return loadGroups()[key(name)] || null;
+}
+
+export function saveGroup(name, members) {
+  const existing = findGroup(name);
+  loadGroups()[key(name)] = { name, members, updatedAt: new Date().toISOString() };
+  writeJson(GROUPS_FILE, groups);
+  return { name, members, updated: Boolean(existing) };
+}
+
+export function removeGroup(name) {
+  const group = findGroup(name);
+  if (!group) return null;
+
+  delete loadGroups()[key(name)];
+  writeJson(GROUPS_FILE, groups);
+  return group;
+}
@@ -0,0 +1,307 @@
+// lib/dashboard.js — live operations dashboard
+//
+// GET /dashboard serves one self-contained page. It lists recent calls from
+// /api/calls and follows live calls over Server-Sent Events (/api/live):
+//   calls       every live call and its transcript so far, sent on connect
+//   call        a call appeared or its state changed
+//   transcript  a line was added to a call's transcript
+//   ended       a call's media stream closed
+// Transcript lines come from sessionEvents, so the page sees exactly what
+// goes into transcriptEntries. States are read off the session a few times
+// a second while anyone is watching.
+
+import { listSessions, sessionEvents } from "./sessions.js";
+
+const STATE_POLL_MS = 250;
+const BARGE_IN_SHOWN_MS = 1500;
+const KEEPALIVE_MS = 25000;
+
+const clients = new Set(); // open SSE responses
+const lastStates = new Map(); // callSid -> state last sent
+let stateTimer = null;
+
+// What a live call is doing right now, in the words the page shows
+export function callState(session) {
+  if (session.fallback) return "fallback";
+  if (session.voicemail) return "voicemail";
+  if (session.transfer) return "transferring";
+  if (session.hangupRequested) return "goodbye pending";
+  if (!session.oaiReady || !session.firstAudioAt) return "connecting";
+  if (session.bargeInAt && Date.now() - session.bargeInAt < BARGE_IN_SHOWN_MS) return "barge-in";
+  if (session.assistantSpeaking) return "speaking";
+  if (session.callerSpeaking) return "caller speaking";
+  return "listening";
+}
+
+function liveCall(session, { transcript = false } = {}) {
+  return {
+    id: session.callSid,
+    label: session.label,
+    historyId: session.historyId,
+    direction: session.direction,
+    number: session.number,
+    contactName: session.contactName,
+    owner: session.persona?.owner || null,
+    prompt: session.direction === "outbound" ? session.prompt : null,
+    startedAt: session.startedAt,
+    state: callState(session),
+    ...(transcript ? { transcript: session.transcriptEntries.map(transcriptLine) } : {}),
+  };
+}
+
+function transcriptLine({ speaker, text, time }) {
+  return { speaker, text, time };
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publish(event, data) {
+  for (const res of clients) send(res, event, data);
+}
+
+function pollStates() {
+  for (const session of listSessions()) {
+    if (!session.callSid) continue;
+    const state = callState(session);
+    if (lastStates.get(session.callSid) === state) continue;
+    lastStates.set(session.callSid, state);
+    publish("call", liveCall(session));
+  }
+}
+
+sessionEvents.on("transcript", (session, entry) => {
+  if (clients.size && session.callSid) publish("transcript", { id: session.callSid, ...transcriptLine(entry) });
+});
+
+sessionEvents.on("ended", (session) => {
+  lastStates.delete(session.callSid);
+  if (clients.size && session.callSid) publish("ended", { id: session.callSid, historyId: session.historyId });
+});
+
+// GET /api/live
+export function openLiveStream(req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let a proxy hold events back
+  });
+  res.flushHeaders();
+
+  const calls = listSessions().filter((s) => s.callSid);
+  for (const session of calls) lastStates.set(session.callSid, callState(session));
+  send(res, "calls", calls.map((s) => liveCall(s, { transcript: true })));
+  clients.add(res);
+
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), KEEPALIVE_MS);
+  if (!stateTimer) {
+    stateTimer = setInterval(pollStates, STATE_POLL_MS);
+    stateTimer.unref();
+  }
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    clients.delete(res);
+    if (!clients.size) {
+      clearInterval(stateTimer);
+      stateTimer = null;
+    }
+  });
+}
+
+// === The page ===
+// Plain HTML and script, no build step. The API token comes from the page's
+// own ?token= and is sent back as a bearer token (and on the SSE URL, since
+// EventSource can't set headers). All call text is set with textContent.
+export const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="referrer" content="no-referrer">
+<title>relaybot — live calls</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 16px; color: #222; }
+  h1 { font-size: 20px; margin: 0 0 12px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  #status { float: right; font-size: 12px; color: #777; }
+  .call { border: 1px solid #ddd; border-radius: 6px; padding: 10px; margin-bottom: 12px; }
+  .call header { display: flex; gap: 8px; align-items: center; }
+  .call header .who { font-weight: 600; flex: 1; }
+  .state { font-size: 12px; padding: 2px 8px; border-radius: 10px; background: #eee; }
+  .state.speaking { background: #d6ecff; }
+  .state.caller-speaking { background: #e3f6dd; }
+  .state.barge-in { background: #ffe0b3; }
+  .state.goodbye-pending, .state.transferring { background: #f3e0ff; }
+  .state.fallback { background: #ffd6d6; }
+  .prompt { color: #555; margin: 4px 0; }
+  .transcript { max-height: 240px; overflow-y: auto; background: #fafafa; padding: 6px; font-size: 13px; }
+  .line .speaker { font-weight: 600; margin-right: 4px; }
+  .line.System { color: #777; font-style: italic; }
+  button { cursor: pointer; }
+  form { display: grid; grid-template-columns: 120px 1fr; gap: 6px 10px; max-width: 560px; }
+  form textarea { min-height: 60px; }
+  #form-result { grid-column: 2; min-height: 1em; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  .empty { color: #777; }
+</style>
+</head>
+<body>
+<span id="status">connecting…</span>
+<h1>relaybot — live calls</h1>
+<div id="live"><p class="empty">No active calls.</p></div>
+
+<h2>New call</h2>
+<form id="new-call">
+  <label for="target">To</label>
+  <input id="target" name="target" placeholder="4355551212 or a contact name" required>
+  <label for="message">Message</label>
+  <textarea id="message" name="message" placeholder="the results are ready" required></textarea>
+  <label for="goal">Goal</label>
+  <select id="goal" name="goal">
+    <option value="message">Relay the message</option>
+    <option value="questions">Ask the questions and gather answers</option>
+  </select>
+  <label for="language">Language</label>
+  <input id="language" name="language" placeholder="(the contact's or persona's)">
+  <span></span>
+  <button type="submit">Call</button>
+  <span id="form-result"></span>
+</form>
+
+<h2>Recent calls</h2>
+<table>
+  <thead><tr><th>Id</th><th>When</th><th>Who</th><th>Status</th><th>Summary</th></tr></thead>
+  <tbody id="recent"></tbody>
+</table>
+
+<script>
+  const token = new URLSearchParams(location.search).get("token") || "";
+  const headers = { Authorization: "Bearer " + token };
+  const calls = new Map(); // id -> { call, el }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function who(c) {
+    const party = c.contactName ? c.contactName + " (" + c.number + ")" : c.number || "unknown number";
+    return (c.direction === "inbound" ? "⬅️ " : "➡️ ") + party;
+  }
+
+  function renderEmpty() {
+    const live = document.getElementById("live");
+    const empty = live.querySelector(".empty");
+    if (calls.size && empty) empty.remove();
+    if (!calls.size && !empty) live.append(el("p", "empty", "No active calls."));
+  }
+
+  function addLine(entry, line) {
+    const box = entry.el.querySelector(".transcript");
+    const row = el("div", "line " + line.speaker);
+    row.append(el("span", "speaker", line.speaker + ":"), document.createTextNode(line.text));
+    box.append(row);
+    box.scrollTop = box.scrollHeight;
+  }
+
+  function showCall(call) {
+    let entry = calls.get(call.id);
+    if (!entry) {
+      const card = el("section", "call");
+      const head = el("header");
+      const hangup = el("button", null, "Hang up");
+      hangup.onclick = () => hangUp(call.id, hangup);
+      head.append(el("span", "label"), el("span", "who"), el("span", "state"), hangup);
+      card.append(head, el("div", "prompt"), el("div", "transcript"));
+      document.getElementById("live").append(card);
+      entry = { el: card };
+      calls.set(call.id, entry);
+      for (const line of call.transcript || []) addLine(entry, line);
+    }
+    entry.call = call;
+    entry.el.querySelector(".label").textContent = call.label;
+    entry.el.querySelector(".who").textContent = who(call) + (call.owner ? " · for " + call.owner : "");
+    const state = entry.el.querySelector(".state");
+    state.textContent = call.state;
+    state.className = "state " + call.state.replace(/\\s+/g, "-");
+    entry.el.querySelector(".prompt").textContent = call.prompt ? "“" + call.prompt + "”" : "";
+    renderEmpty();
+  }
+
+  async function hangUp(id, button) {
+    button.disabled = true;
+    const res = await fetch("/api/live/" + encodeURIComponent(id) + "/hangup", { method: "POST", headers });
+    if (!res.ok) button.disabled = false;
+  }
+
+  async function loadRecent() {
+    const res = await fetch("/api/calls?limit=20", { headers });
+    if (!res.ok) return;
+    const { calls: recent } = await res.json();
+    const body = document.getElementById("recent");
+    body.replaceChildren(
+      ...recent.map((c) => {
+        const row = el("tr");
+        row.append(
+          el("td", null, c.id),
+          el("td", null, new Date(c.startedAt).toLocaleString()),
+          el("td", null, who(c)),
+          el("td", null, c.status || ""),
+          el("td", null, c.summary || "")
+        );
+        return row;
+      })
+    );
+  }
+
+  document.getElementById("new-call").onsubmit = async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const result = document.getElementById("form-result");
+    result.textContent = "Placing the call…";
+    const res = await fetch("/api/calls", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(Object.fromEntries(new FormData(form))),
+    });
+    const data = await res.json().catch(() => ({}));
+    result.textContent = res.ok ? "Calling " + data.call.number + "…" : data.error || "Failed (" + res.status + ")";
+    if (res.ok) form.reset();
+  };
+
+  const source = new EventSource("/api/live?token=" + encodeURIComponent(token));
+  const status = document.getElementById("status");
+  source.onopen = () => (status.textContent = "live");
+  source.onerror = () => (status.textContent = "reconnecting…");
+  source.addEventListener("calls", (e) => {
+    for (const entry of calls.values()) entry.el.remove();
+    calls.clear();
+    JSON.parse(e.data).forEach(showCall);
+    renderEmpty();
+  });
+  source.addEventListener("call", (e) => showCall(JSON.parse(e.data)));
+  source.addEventListener("transcript", (e) => {
+    const line = JSON.parse(e.data);
+    const entry = calls.get(line.id);
+    if (entry) addLine(entry, line);
+  });
+  source.addEventListener("ended", (e) => {
+    const { id } = JSON.parse(e.data);
+    calls.get(id)?.el.remove();
+    calls.delete(id);
+    renderEmpty();
+    setTimeout(loadRecent, 3000); // give the summary time to land
+  });
+
+  loadRecent();
+  setInterval(loadRecent, 60000);
+</script>
+</body>
+</html>
+`;
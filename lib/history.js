@@ -0,0 +1,89 @@
+// lib/history.js — persistent record of every call
+//
+// One record per call in DATA_DIR/calls.json:
+//   { id, callSid, direction, number, contactName, prompt, status,
+//     startedAt, endedAt, durationSec, transcriptEntries, summary, outcome,
+//     recording }
+// Question calls (goal "questions") also keep
+//   answers: [{ question, answer (null if unanswered), confirmed }]
+// and every call gets `usage` (tokens, minutes and USD per source, see
+// lib/usage.js) as its costs come in.
+
+import { readJson, writeJson } from "./store.js";
+
+const FILE = "calls.json";
+
+let state = null; // { nextId, calls: [] }
+
+function load() {
+  if (!state) state = readJson(FILE, { nextId: 1, calls: [] });
+  return state;
+}
+
+function save() {
+  writeJson(FILE, state);
+}
+
+export function recordCall(fields) {
+  const s = load();
+  const record = {
+    id: s.nextId++,
+    callSid: null,
+    direction: "outbound",
+    number: null,
+    contactName: null,
+    prompt: null,
+    status: "queued",
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    durationSec: null,
+    transcriptEntries: [],
+    summary: null,
+    outcome: null,
+    recording: null, // { bytes, durationSec, savedAt } once the WAV is written
+    ...fields,
+  };
+  s.calls.push(record);
+  save();
+  return record;
+}
+
+// Look up by numeric id ("12", "#12") or Twilio CallSid
+export function getCall(idOrSid) {
+  if (!idOrSid) return null;
+  const id = String(idOrSid).replace(/^#/, "");
+  const calls = load().calls;
+
+  if (/^\d+$/.test(id)) return calls.find((c) => c.id === Number(id)) || null;
+  return calls.find((c) => c.callSid === id) || null;
+}
+
+export function updateCall(idOrSid, patch) {
+  const record = getCall(idOrSid);
+  if (!record) return null;
+
+  Object.assign(record, patch);
+  save();
+  return record;
+}
+
+// Newest first. `from`/`to` are anything Date can parse; `to` is inclusive
+// of the whole day when given as a bare date ("2026-10-19").
+export function findCalls({ number, from, to, callbackRequested, limit } = {}) {
+  const fromMs = from ? Date.parse(from) : null;
+  let toMs = to ? Date.parse(to) : null;
+  if (toMs !== null && /^\d{4}-\d{2}-\d{2}$/.test(to)) toMs += 24 * 60 * 60 * 1000 - 1;
+
+  const matches = load()
+    .calls.filter((c) => {
+      const started = Date.parse(c.startedAt);
+      if (number && c.number !== number) return false;
+      if (callbackRequested && !c.outcome?.callbackRequested) return false;
+      if (fromMs !== null && started < fromMs) return false;
+      if (toMs !== null && started > toMs) return false;
+      return true;
+    })
+    .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt) || b.id - a.id);
+
+  return limit ? matches.slice(0, limit) : matches;
+}
@@ -0,0 +1,72 @@
+// lib/languages.js — languages the assistant can hold a call in
+//
+// A call's language comes from the command ("call Pat in Spanish and tell …"),
+// else the number's saved default (DATA_DIR/languages.json), else the persona.
+
+import { readJson, writeJson } from "./store.js";
+
+const LANGUAGES = [
+  {
+    code: "en",
+    name: "English",
+    speech: "American English",
+    aliases: ["english", "inglés", "ingles"],
+    goodbyePhrases: ["goodbye", "have a great day", "talk to you later"],
+  },
+  {
+    code: "es",
+    name: "Spanish",
+    speech: "neutral Latin American Spanish",
+    aliases: ["spanish", "español", "espanol"],
+    goodbyePhrases: ["adiós", "adios", "hasta luego", "que tenga un buen día", "hasta pronto"],
+  },
+  {
+    code: "pt",
+    name: "Portuguese",
+    speech: "Brazilian Portuguese",
+    aliases: ["portuguese", "português", "portugues", "brazilian"],
+    goodbyePhrases: ["tchau", "até logo", "ate logo", "tenha um bom dia", "até mais"],
+  },
+  {
+    code: "fr",
+    name: "French",
+    speech: "standard French",
+    aliases: ["french", "français", "francais"],
+    goodbyePhrases: ["au revoir", "bonne journée", "à bientôt"],
+  },
+];
+
+const FILE = "languages.json";
+
+let numberDefaults = null; // { "+14355551212": "es" }
+
+function load() {
+  if (!numberDefaults) numberDefaults = readJson(FILE, {});
+  return numberDefaults;
+}
+
+export function listLanguages() {
+  return LANGUAGES;
+}
+
+// By code ("es") or name in English or the language itself ("Spanish", "español")
+export function findLanguage(nameOrCode) {
+  const key = String(nameOrCode || "").trim().toLowerCase();
+  if (!key) return null;
+  return LANGUAGES.find((l) => l.code === key || l.aliases.includes(key)) || null;
+}
+
+export function languageForNumber(phone) {
+  return findLanguage(load()[phone]);
+}
+
+// Pass null to go back to the persona's language
+export function setNumberLanguage(phone, language) {
+  const defaults = load();
+  if (language) {
+    defaults[phone] = language.code;
+  } else {
+    delete defaults[phone];
+  }
+  writeJson(FILE, defaults);
+}
@@ -0,0 +1,50 @@
+// lib/log.js — structured logging: one JSON object per line
+//
+//   {"time":"2026-10-19T15:04:05.123Z","level":"info","msg":"Call status","callSid":"CA12","status":"ringing"}
+//
+// Lines about a live call come from callLog(session) and carry its callSid
+// and chat label ("#2"), so one call can be pulled out with a filter such as
+// jq 'select(.callSid == "CA12")'. warn and error go to stderr. LOG_LEVEL
+// (debug | info | warn | error, default info) drops anything quieter.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function threshold() {
+  return LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+}
+
+// Errors serialize to {} otherwise
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return { message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) entry[key] = serialize(value);
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ time: entry.time, level, msg, note: "fields were not serializable" });
+  }
+  (LEVELS[level] >= LEVELS.warn ? console.error : console.log)(line);
+}
+
+// `context()` is read on every line, so fields set later (a callSid that
+// arrives with the stream's start event) still show up
+function logger(context) {
+  const at = (level) => (msg, fields = {}) => write(level, msg, { ...context(), ...fields });
+  return { debug: at("debug"), info: at("info"), warn: at("warn"), error: at("error") };
+}
+
+export const log = logger(() => ({}));
+
+export function callLog(session) {
+  return logger(() => ({ callSid: session.callSid, call: session.label }));
+}
@@ -0,0 +1,91 @@
+// lib/metrics.js — counters, gauges and histograms for GET /metrics
+//
+// Metrics are declared once at module load and rendered in the Prometheus
+// text format. Labels are plain objects ({ outcome: "busy" }); each new
+// combination becomes its own series. Everything lives in memory and
+// starts from zero on restart, which Prometheus handles for counters.
+
+const registry = new Map(); // name -> { name, help, type, lines() }
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+  registry.set(metric.name, metric);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Counters without labels start at 0 so they show up before the first event
+export function counter(name, help, { labelNames = [] } = {}) {
+  const series = new Map(); // key -> { labels, value }
+  if (!labelNames.length) series.set(seriesKey({}), { labels: {}, value: 0 });
+  register({
+    name,
+    help,
+    type: "counter",
+    lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+  });
+
+  return {
+    inc(labels = {}, by = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += by;
+      series.set(key, entry);
+    },
+  };
+}
+
+// `read()` returns the current value when /metrics is scraped
+export function gauge(name, help, read) {
+  register({ name, help, type: "gauge", lines: () => [`${name} ${Number(read()) || 0}`] });
+}
+
+// `buckets` are upper bounds in seconds, ascending
+export function histogram(name, help, buckets) {
+  const series = new Map(); // key -> { labels, counts (per bucket), sum, count }
+  register({
+    name,
+    help,
+    type: "histogram",
+    lines: () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+  });
+
+  return {
+    observe(value, labels = {}) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+  };
+}
+
+export function renderMetrics() {
+  return (
+    [...registry.values()]
+      .map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join("\n"))
+      .join("\n") + "\n"
+  );
+}
@@ -0,0 +1,53 @@
+// lib/openai.js — small wrapper around the chat-completions endpoint
+
+import fetch from "node-fetch";
+import { addCompletionUsage } from "./usage.js";
+
+// Overridable so tests (or a proxy) can stand in for OpenAI
+export function openaiApiBase() {
+  return process.env.OPENAI_API_BASE || "https://api.openai.com/v1";
+}
+
+export function openaiRealtimeUrl(model) {
+  const base = process.env.OPENAI_REALTIME_URL || "wss://api.openai.com/v1/realtime";
+  return `${base}?model=${encodeURIComponent(model)}`;
+}
+
+// `usage` (from createUsage) collects the tokens and cost of the request
+export async function chatCompletion(messages, { model = "gpt-4o-mini", json = false, usage = null } = {}) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error("Missing OPENAI_API_KEY env var");
+  }
+
+  const res = await fetch(`${openaiApiBase()}/chat/completions`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+    }),
+  });
+
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(`OpenAI chat completion failed: ${data?.error?.message || res.status}`);
+  }
+  if (usage) addCompletionUsage(usage, model, data.usage);
+
+  return data?.choices?.[0]?.message?.content?.trim() || "";
+}
+
+// Same as chatCompletion, but asks for a JSON object and parses it.
+// Returns null when the model's reply is not valid JSON.
+export async function chatCompletionJson(messages, options = {}) {
+  const content = await chatCompletion(messages, { ...options, json: true });
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
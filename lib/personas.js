@@ -0,0 +1,145 @@
+// lib/personas.js — who the assistant speaks for
+//
+// Personas come from PERSONAS_FILE (default ./personas.json):
+//
+//   {
+//     "default": "oscar",
+//     "personas": { "oscar": { "owner": "Oscar", "voice": "ash", … }, "maria": { … } },
+//     "senders": { "groupme:12345": "maria" }
+//   }
+//
+// Any field a persona leaves out falls back to BASE below. Templates may use
+// {owner}, {name} (the contact, when known), {message} and, for question
+// calls, {questions}.
+
+import fs from "node:fs";
+import path from "node:path";
+import { readJson, writeJson } from "./store.js";
+import { log } from "./log.js";
+
+const BASE = {
+  owner: "Oscar",
+  pronoun: "his",
+  voice: "ash",
+  phone: null, // owner's own number, for transfer_to_owner (else OWNER_PHONE)
+  calendar: null, // .ics file for check_availability (else CALENDAR_ICS)
+  language: "en",
+  languageName: "American English",
+  tone: "calm, friendly but not overly cheerful",
+  greeting: "Hi {name}, this is {owner}'s personal call assistant. {owner} asked me to give you a quick message. Would you like to hear it?",
+  inboundGreeting:
+    "Hi, you've reached {owner}'s phone. This is {pronoun} personal call assistant. " +
+    "{owner} isn't available right now, but I can take a message. May I have your name?",
+  goodbyePhrases: ["goodbye", "have a great day", "i'll let you go", "talk to you later"],
+  callGoal:
+    'The purpose of this call is to relay this message from {owner}: "{message}". ' +
+    "At the beginning, briefly greet the caller and ask if they would like to hear the message from {owner}. " +
+    "If they say yes, clearly say the message once. " +
+    "If they seem confused, you may briefly clarify the message in simple terms. " +
+    "After you deliver the message, ask once if they would like to send a short message back to {owner}. " +
+    "If they dictate a message back, paraphrase it in your own words and repeat it back to them, then ask if you got it right. " +
+    "If they correct you, repeat the corrected version once. " +
+    "Finally, confirm that you will pass their message along to {owner}. " +
+    "Do not pressure them if they do not want to send anything back.",
+  questionGreeting:
+    "Hi {name}, this is {owner}'s personal call assistant. {owner} asked me to check a couple of quick things with you. Do you have a moment?",
+  questionGoal:
+    "The purpose of this call is to get answers to these questions for {owner}:\n{questions}\n" +
+    "At the beginning, briefly greet them and say you have a few quick questions from {owner}. " +
+    "Ask the questions one at a time, in order, in your own words. " +
+    "If an answer is unclear, incomplete or does not really answer the question, politely ask again or ask a short clarifying question. " +
+    "Repeat each answer back briefly to confirm it, then call record_answer with the question number and the confirmed answer. " +
+    "If they do not know or would rather not say, accept that and move on without recording an answer. " +
+    "When every question is done, thank them and say you will pass the answers along to {owner}.",
+};
+
+const SENDER_DEFAULTS_FILE = "persona-defaults.json"; // chosen from chat, in DATA_DIR
+
+let config = null;
+let senderDefaults = null; // { "groupme:12345": "maria" }
+
+function configPath() {
+  return path.resolve(process.env.PERSONAS_FILE || "personas.json");
+}
+
+function loadConfig() {
+  if (config) return config;
+
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath(), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error("Personas file error", { err });
+  }
+
+  const personas = {};
+  for (const [id, fields] of Object.entries(raw.personas || {})) {
+    personas[id.toLowerCase()] = { ...BASE, ...fields, id: id.toLowerCase() };
+  }
+  if (!Object.keys(personas).length) personas.oscar = { ...BASE, id: "oscar" };
+
+  const fallback = String(raw.default || "").toLowerCase();
+  config = {
+    personas,
+    default: personas[fallback] ? fallback : Object.keys(personas)[0],
+    senders: raw.senders || {},
+  };
+  return config;
+}
+
+function loadSenderDefaults() {
+  if (!senderDefaults) senderDefaults = readJson(SENDER_DEFAULTS_FILE, {});
+  return senderDefaults;
+}
+
+function senderKey(sender, channel) {
+  return `${channel?.adapter || "groupme"}:${sender?.id || ""}`;
+}
+
+export function listPersonas() {
+  return Object.values(loadConfig().personas);
+}
+
+// By id ("maria") or owner name ("Maria"); null when unknown.
+// With no name, the configured default.
+export function findPersona(name) {
+  const { personas } = loadConfig();
+  const key = String(name || "").trim().toLowerCase();
+  if (!key) return personas[loadConfig().default];
+
+  return personas[key] || Object.values(personas).find((p) => p.owner.toLowerCase() === key) || null;
+}
+
+// Never null: unknown names (e.g. a persona removed since the call was
+// scheduled) fall back to the default
+export function getPersona(name) {
+  return findPersona(name) || findPersona();
+}
+
+// A sender's choice from chat wins over the config file's "senders" map
+export function personaForSender(sender, channel) {
+  const key = senderKey(sender, channel);
+  return getPersona(loadSenderDefaults()[key] || loadConfig().senders[key]);
+}
+
+export function setSenderPersona(sender, channel, persona) {
+  loadSenderDefaults()[senderKey(sender, channel)] = persona.id;
+  writeJson(SENDER_DEFAULTS_FILE, senderDefaults);
+}
+
+// One pass with a replacer function, so "$&" or "{owner}" typed into a
+// message is left as written
+export function fillTemplate(template, { persona, name = null, message = "", questions = [] }) {
+  const values = {
+    owner: persona.owner,
+    pronoun: persona.pronoun,
+    name: name || "",
+    message,
+    questions: questions.map((q, i) => `${i + 1}. ${q}`).join("\n"),
+  };
+  return String(template)
+    .replace(/\{(owner|pronoun|name|message|questions)\}/g, (_match, key) => values[key])
+    .replace(/ +([,.!?])/g, "$1") // "Hi , this is" when there is no name
+    .replace(/ {2,}/g, " ")
+    .trim();
+}
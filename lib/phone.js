@@ -0,0 +1,24 @@
+// lib/phone.js — phone number helpers
+
+// Accepts US numbers in any punctuation ("(435) 555-1212", "1-435-555-1212")
+// and international numbers written with a leading "+" or "00"
+// ("+44 20 7946 0958", "0044 20 7946 0958"). Returns E.164 or null.
+export function normalizePhone(s) {
+  const raw = String(s || "").trim();
+  const digits = raw.replace(/\D/g, "");
+
+  if (/^\+/.test(raw) || /^00/.test(digits)) {
+    const intl = digits.replace(/^00/, "");
+    return /^\d{8,15}$/.test(intl) ? "+" + intl : null;
+  }
+
+  if (digits.length === 10) return "+1" + digits;
+  if (digits.length === 11 && digits.startsWith("1")) return "+" + digits;
+
+  return null;
+}
+
+// True when the text is meant as a number rather than a name
+export function looksLikePhone(s) {
+  return /^[\d\s\-().+]+$/.test(String(s || "").trim()) && /\d{3}/.test(s);
+}
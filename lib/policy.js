@@ -0,0 +1,143 @@
+// lib/policy.js — whether a call may be placed right now
+//
+// Checked before every dial (chat, scheduled, retry, broadcast):
+//   - emergency and premium-rate numbers (emergency can never be overridden)
+//   - the do-not-call list (DATA_DIR/do-not-call.json, managed from chat)
+//   - quiet hours in the callee's time zone (QUIET_HOURS, default 21:00-08:00)
+//   - rate limits per requester and per number, counted from call history
+//   - the monthly budget (MONTHLY_BUDGET_USD, see lib/usage.js)
+// Admins (ADMIN_USER_IDS) can override everything but emergency numbers and
+// the budget: an override must not run up spend past MONTHLY_BUDGET_USD.
+
+import { readJson, writeJson } from "./store.js";
+import { findCalls } from "./history.js";
+import { findContactByPhone } from "./contacts.js";
+import { timeZoneForNumber } from "./areacodes.js";
+import { budgetRefusal } from "./usage.js";
+import { idList } from "./auth.js";
+import { defaultTimeZone, zonedParts, formatWhen } from "./timeparse.js";
+
+const DNC_FILE = "do-not-call.json";
+
+// Short codes people might type: 911/112/999/000 and friends, N11 services,
+// 988 (crisis line) and 933 (911 address test)
+const EMERGENCY = new Set(["911", "112", "999", "000", "110", "119", "933", "988"]);
+
+let doNotCall = null; // { "+14355551212": { reason, addedBy, addedAt } }
+
+function loadDoNotCall() {
+  if (!doNotCall) doNotCall = readJson(DNC_FILE, {});
+  return doNotCall;
+}
+
+export function hasAdmins() {
+  return idList(process.env.ADMIN_USER_IDS).length > 0;
+}
+
+// ADMIN_USER_IDS="12345,slack:U0123": a bare id matches on any transport
+export function isAdmin(sender, channel) {
+  const id = String(sender?.id || "");
+  if (!id) return false;
+  return idList(process.env.ADMIN_USER_IDS).some((entry) =>
+    entry.includes(":") ? entry === `${channel?.adapter}:${id}` : entry === id
+  );
+}
+
+// For raw text that is not a dialable number ("911", "1-911")
+export function isEmergencyNumber(raw) {
+  const digits = String(raw || "").replace(/\D/g, "");
+  return EMERGENCY.has(digits) || EMERGENCY.has(digits.replace(/^1/, "")) || /^1?[2-9]11$/.test(digits);
+}
+
+function premiumReason(to) {
+  const nanp = to.match(/^\+1(\d{3})(\d{3})\d{4}$/);
+  if (nanp && nanp[1] === "900") return "a 900 premium-rate number";
+  if (nanp && nanp[2] === "976") return "a 976 premium-rate number";
+  if (nanp && /^[2-9]11$/.test(nanp[1])) return "not a real area code";
+
+  const extra = idList(process.env.BLOCKED_PREFIXES).find((prefix) => to.startsWith(prefix));
+  return extra ? `in a blocked range (${extra})` : null;
+}
+
+// Contact's own setting, else a guess from the area code, else TIMEZONE
+export function calleeTimeZone(to) {
+  return findContactByPhone(to)?.timeZone || timeZoneForNumber(to) || defaultTimeZone();
+}
+
+// "21:00-08:00" -> { start: 1260, end: 480 } in minutes; null when "off"
+function quietHours() {
+  const raw = process.env.QUIET_HOURS ?? "21:00-08:00";
+  const m = raw.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  return { start: +m[1] * 60 + +m[2], end: +m[3] * 60 + +m[4], label: raw.replace(/\s+/g, "") };
+}
+
+function inQuietHours(minutes, { start, end }) {
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function recentCalls(windowMs, now) {
+  return findCalls({ from: new Date(now - windowMs).toISOString() }).filter((c) => c.direction === "outbound");
+}
+
+// Returns null when the call may go ahead, else the reason it may not.
+// `at` is when the call would be placed (later than now for scheduled calls).
+export function callRefusal({ to, requester = null, channel = null, at = new Date(), override = false }) {
+  const budget = budgetRefusal();
+  if (budget) return budget;
+
+  if (override) return null;
+
+  const premium = premiumReason(to);
+  if (premium) return `💸 ${to} is ${premium}.`;
+
+  const listed = loadDoNotCall()[to];
+  if (listed) return `🚫 ${to} is on the do-not-call list${listed.reason ? ` (${listed.reason})` : ""}.`;
+
+  const quiet = quietHours();
+  if (quiet) {
+    const timeZone = calleeTimeZone(to);
+    const local = zonedParts(at, timeZone);
+    if (inQuietHours(local.hour * 60 + local.minute, quiet)) {
+      return `🌙 That's ${formatWhen(at, timeZone)} for ${to} (${timeZone}); quiet hours are ${quiet.label}.`;
+    }
+  }
+
+  const windowMin = Number(process.env.CALL_LIMIT_WINDOW_MINUTES) || 60;
+  const perNumber = Number(process.env.CALL_LIMIT_PER_NUMBER ?? 3);
+  const perRequester = Number(process.env.CALL_LIMIT_PER_REQUESTER ?? 20);
+  const recent = recentCalls(windowMin * 60 * 1000, Date.now());
+
+  const toNumber = recent.filter((c) => c.number === to).length;
+  if (perNumber && toNumber >= perNumber) {
+    return `⏳ ${to} has been called ${toNumber} times in the last ${windowMin} minutes (limit ${perNumber}).`;
+  }
+
+  if (requester?.id) {
+    const byRequester = recent.filter(
+      (c) => c.requester?.id === requester.id && (c.channel?.adapter || "groupme") === (channel?.adapter || "groupme")
+    ).length;
+    if (perRequester && byRequester >= perRequester) {
+      return `⏳ ${requester.name || "You"} placed ${byRequester} calls in the last ${windowMin} minutes (limit ${perRequester}).`;
+    }
+  }
+
+  return null;
+}
+
+// === Do-not-call list ===
+export function listDoNotCall() {
+  return Object.entries(loadDoNotCall()).map(([phone, entry]) => ({ phone, ...entry }));
+}
+
+export function addDoNotCall(phone, { reason = null, addedBy = null } = {}) {
+  loadDoNotCall()[phone] = { reason, addedBy, addedAt: new Date().toISOString() };
+  writeJson(DNC_FILE, doNotCall);
+}
+
+export function removeDoNotCall(phone) {
+  const existed = Boolean(loadDoNotCall()[phone]);
+  delete doNotCall[phone];
+  if (existed) writeJson(DNC_FILE, doNotCall);
+  return existed;
+}
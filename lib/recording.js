@@ -0,0 +1,150 @@
+// lib/recording.js — per-call stereo WAV of what was actually said
+//
+// Both directions pass through the bridge as base64 8 kHz μ-law. The caller
+// goes on the left channel, the assistant on the right, each chunk placed at
+// the time it was heard:
+//   - caller audio at Twilio's media timestamp (ms since the stream started)
+//   - assistant audio back to back from when it was sent, since Twilio plays
+//     it in order; a barge-in cuts off whatever had not been played yet
+//
+// Files live in DATA_DIR/recordings/<call id>.wav.
+
+import fs from "node:fs";
+import path from "node:path";
+import { dataDir } from "./store.js";
+import { log } from "./log.js";
+
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+export function recordingEnabled() {
+  return process.env.RECORDING_ENABLED !== "0";
+}
+
+export function createRecorder() {
+  return {
+    startedAt: Date.now(),
+    caller: [], // { at (sample offset), bytes (μ-law) }
+    assistant: [],
+    assistantCursor: 0, // where the next assistant chunk starts playing
+  };
+}
+
+function nowSample(rec) {
+  return Math.round((Date.now() - rec.startedAt) * SAMPLES_PER_MS);
+}
+
+export function recordCaller(rec, payload, timestampMs) {
+  const ms = timestampMs == null ? NaN : Number(timestampMs);
+  const at = Number.isFinite(ms) ? Math.round(ms * SAMPLES_PER_MS) : nowSample(rec);
+  rec.caller.push({ at, bytes: Buffer.from(payload, "base64") });
+}
+
+export function recordAssistant(rec, payload) {
+  const bytes = Buffer.from(payload, "base64");
+  const at = Math.max(rec.assistantCursor, nowSample(rec));
+  rec.assistant.push({ at, bytes });
+  rec.assistantCursor = at + bytes.length;
+}
+
+// Twilio was told to clear its buffer: drop assistant audio not yet played
+export function truncateAssistant(rec) {
+  const cut = nowSample(rec);
+  rec.assistant = rec.assistant
+    .filter((c) => c.at < cut)
+    .map((c) => (c.at + c.bytes.length > cut ? { at: c.at, bytes: c.bytes.subarray(0, cut - c.at) } : c));
+  rec.assistantCursor = Math.min(rec.assistantCursor, cut);
+}
+
+// G.711 μ-law byte -> 16-bit linear PCM
+const MULAW_TO_PCM = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  MULAW_TO_PCM[i] = u & 0x80 ? -magnitude : magnitude;
+}
+
+// Stereo 16-bit PCM WAV from two lists of timed μ-law chunks
+export function buildWav(left, right) {
+  const end = (chunks) => chunks.reduce((max, c) => Math.max(max, c.at + c.bytes.length), 0);
+  const samples = Math.max(end(left), end(right));
+  const dataBytes = samples * 4;
+
+  const wav = Buffer.alloc(44 + dataBytes);
+  wav.write("RIFF", 0);
+  wav.writeUInt32LE(36 + dataBytes, 4);
+  wav.write("WAVE", 8);
+  wav.write("fmt ", 12);
+  wav.writeUInt32LE(16, 16); // fmt chunk size
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(2, 22); // channels
+  wav.writeUInt32LE(SAMPLE_RATE, 24);
+  wav.writeUInt32LE(SAMPLE_RATE * 4, 28); // byte rate
+  wav.writeUInt16LE(4, 32); // block align
+  wav.writeUInt16LE(16, 34); // bits per sample
+  wav.write("data", 36);
+  wav.writeUInt32LE(dataBytes, 40);
+
+  for (const [channel, chunks] of [[0, left], [1, right]]) {
+    for (const { at, bytes } of chunks) {
+      for (let i = 0; i < bytes.length; i++) {
+        wav.writeInt16LE(MULAW_TO_PCM[bytes[i]], 44 + (at + i) * 4 + channel * 2);
+      }
+    }
+  }
+  return wav;
+}
+
+function recordingsDir() {
+  return path.join(dataDir(), "recordings");
+}
+
+export function recordingPath(callId) {
+  return path.join(recordingsDir(), `${Number(callId)}.wav`);
+}
+
+// Returns { bytes, durationSec }, or null when nothing was captured
+export function saveRecording(rec, callId) {
+  if (!rec.caller.length && !rec.assistant.length) return null;
+
+  const wav = buildWav(rec.caller, rec.assistant);
+  fs.mkdirSync(recordingsDir(), { recursive: true });
+  fs.writeFileSync(recordingPath(callId), wav);
+  return { bytes: wav.length, durationSec: Math.round((wav.length - 44) / 4 / SAMPLE_RATE) };
+}
+
+export function deleteRecording(callId) {
+  try {
+    fs.unlinkSync(recordingPath(callId));
+    return true;
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error("Recording delete error", { callId, err });
+    return false;
+  }
+}
+
+// Deletes recordings older than RECORDING_RETENTION_DAYS (default 30; 0 keeps
+// them forever). Returns the call ids whose recordings were removed.
+export function pruneRecordings() {
+  const days = Number(process.env.RECORDING_RETENTION_DAYS || 30);
+  if (!days) return [];
+
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  let files = [];
+  try {
+    files = fs.readdirSync(recordingsDir());
+  } catch {
+    return []; // nothing recorded yet
+  }
+
+  const removed = [];
+  for (const name of files) {
+    const m = name.match(/^(\d+)\.wav$/);
+    if (!m) continue;
+    const file = path.join(recordingsDir(), name);
+    if (fs.statSync(file).mtimeMs < cutoff && deleteRecording(m[1])) removed.push(Number(m[1]));
+  }
+  return removed;
+}
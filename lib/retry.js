@@ -0,0 +1,28 @@
+// lib/retry.js — when to redial a call that did not connect
+//
+//   RETRY_ON             comma-separated Twilio statuses (default "no-answer,busy")
+//   RETRY_MAX            extra attempts after the first call (default 2)
+//   RETRY_DELAY_MINUTES  wait between attempts (default 10)
+
+export function retryPolicy() {
+  return {
+    on: (process.env.RETRY_ON ?? "no-answer,busy")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean),
+    max: Number(process.env.RETRY_MAX ?? 2),
+    delayMinutes: Number(process.env.RETRY_DELAY_MINUTES ?? 10),
+  };
+}
+
+// attempt is 1 for the original call, 2 for the first retry, …
+export function nextRetry(status, attempt, now = Date.now()) {
+  const policy = retryPolicy();
+  if (!policy.on.includes(status) || attempt > policy.max) return null;
+
+  return {
+    attempt: attempt + 1,
+    of: policy.max + 1,
+    runAt: new Date(now + policy.delayMinutes * 60 * 1000),
+  };
+}
@@ -0,0 +1,93 @@
+// lib/scheduler.js — persistent delayed calls
+//
+// Jobs live in DATA_DIR/scheduled.json so they survive restarts. Jobs that
+// came due while the server was down fire on the first poll after startup.
+
+import { readJson, writeJson } from "./store.js";
+import { log } from "./log.js";
+
+const FILE = "scheduled.json";
+
+let state = null; // { nextId, jobs: [{ id, to, prompt, runAt, createdAt }] }
+let pollTimer = null;
+
+function load() {
+  if (!state) state = readJson(FILE, { nextId: 1, jobs: [] });
+  return state;
+}
+
+function save() {
+  writeJson(FILE, state);
+}
+
+export function scheduleJob({ to, prompt, runAt, ...extra }) {
+  const s = load();
+  const job = {
+    ...extra,
+    id: s.nextId++,
+    to,
+    prompt,
+    runAt: new Date(runAt).toISOString(),
+    createdAt: new Date().toISOString(),
+  };
+  s.jobs.push(job);
+  save();
+  return job;
+}
+
+export function listJobs() {
+  return [...load().jobs].sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt));
+}
+
+export function getJob(id) {
+  return load().jobs.find((j) => j.id === Number(id)) || null;
+}
+
+export function cancelJob(id) {
+  const s = load();
+  const job = getJob(id);
+  if (!job) return null;
+
+  s.jobs = s.jobs.filter((j) => j !== job);
+  save();
+  return job;
+}
+
+export function rescheduleJob(id, runAt) {
+  const job = getJob(id);
+  if (!job) return null;
+
+  job.runAt = new Date(runAt).toISOString();
+  save();
+  return job;
+}
+
+// Remove and hand back every job whose time has come
+function takeDueJobs(now = Date.now()) {
+  const s = load();
+  const due = s.jobs.filter((j) => Date.parse(j.runAt) <= now);
+  if (!due.length) return [];
+
+  s.jobs = s.jobs.filter((j) => !due.includes(j));
+  save();
+  return due;
+}
+
+// Poll for due jobs and pass each one to runJob(job)
+export function startScheduler(runJob, intervalMs = Number(process.env.SCHEDULER_POLL_MS) || 15000) {
+  if (pollTimer) return;
+
+  const tick = () => {
+    for (const job of takeDueJobs()) {
+      Promise.resolve(runJob(job)).catch((err) => log.error("Scheduled call failed", { jobId: job.id, err }));
+    }
+  };
+
+  pollTimer = setInterval(tick, intervalMs);
+  tick();
+}
+
+export function stopScheduler() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
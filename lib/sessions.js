@@ -0,0 +1,154 @@
+// lib/sessions.js — registry of live call sessions
+//
+// Every Twilio media stream gets one session. The session owns all of the
+// per-call state (OpenAI socket, transcript, caption batch, timers) so that
+// overlapping calls never share buffers.
+//
+// sessionEvents emits "transcript" (session, entry) for every transcript
+// line and "ended" (session) when a session is removed; the dashboard's
+// live stream listens to both.
+
+import { EventEmitter } from "node:events";
+import { createUsage } from "./usage.js";
+import { callLog } from "./log.js";
+
+const sessions = new Map(); // callSid (or streamSid) -> session
+
+export const sessionEvents = new EventEmitter();
+
+function nextLabel() {
+  const used = new Set([...sessions.values()].map((s) => s.label));
+  let n = 1;
+  while (used.has(`#${n}`)) n++;
+  return `#${n}`;
+}
+
+export function createSession({
+  callSid,
+  streamSid,
+  ws,
+  direction = "outbound",
+  number = null,
+  prompt = "test",
+}) {
+  const session = {
+    label: nextLabel(),
+    callSid,
+    streamSid,
+    ws,
+    direction, // "outbound" (we placed the call) or "inbound" (someone called us)
+    number, // the other party's phone number
+    contactName: null, // address-book name for that number, if we have one
+    persona: null, // who the assistant speaks for (see lib/personas.js)
+    language: null, // call language (see lib/languages.js)
+    translated: null, // { message, opening } in the call language, when it differs from the persona's
+    translating: false,
+    prompt,
+    questions: null, // question calls: what to ask (see splitQuestions in lib/commands.js)
+    answers: [], // confirmed answers by question index, from record_answer
+    startedAt: Date.now(),
+    historyId: null, // id of this call's record in the call history
+    channel: null, // chat channel that gets captions, transcript and summary
+    requester: null, // chat sender who asked for the call ({ id, name })
+    broadcastId: null, // set when the call is one of a broadcast (see lib/broadcast.js)
+    usage: createUsage(), // tokens and cost so far (see lib/usage.js)
+
+    // OpenAI Realtime socket
+    oai: null,
+    oaiReady: false,
+    scriptSent: false, // the call script (instructions and tools) went out with the greeting
+    realtimeRetries: 0, // reconnects since the last completed response
+    ending: false, // the stream stopped, so the socket is being closed on purpose
+    fallback: null, // { reason, at } once the call was switched to <Say>/<Record>
+
+    recorder: null, // both sides' audio for the WAV (see lib/recording.js)
+
+    // Transcript
+    transcriptEntries: [],
+    sequenceCounter: 0, // guarantees ordering even with identical timestamps
+    assistantBuffer: "",
+    callerLastItemId: null,
+
+    // GroupMe caption batch
+    captionLines: [],
+
+    // Audio / turn state
+    hasBufferedAudio: false,
+    allowAssistantAudio: true, // controls barge-in: whether Twilio is allowed to play assistant audio
+    currentResponseId: null,
+    assistantSpeaking: false,
+    callerSpeaking: false, // between speech_started and speech_stopped
+
+    // Answering-machine detection
+    amd: false, // detection requested for this call
+    answeredBy: null, // Twilio AnsweredBy once known ("human", "machine_end_beep", …)
+    voicemail: false, // leaving a voicemail instead of talking
+
+    // Realtime tools: hang up / transfer once the last words have played
+    hangupRequested: false,
+    transfer: null, // { to, by, reason, mode } once a transfer to the owner was asked for
+    replyMessage: null, // { message, callbackRequested, callbackWhen } from record_reply_message
+    responseActive: false, // between response.created and response.done
+    toolResponsePending: false, // send response.create after the current response
+    lastAudioOutTime: null,
+    firstAudioAt: null, // when the first assistant audio went to Twilio (for metrics)
+    bargeInAt: null, // last time the caller cut the assistant off (shown on the dashboard)
+
+    // Timers, cleared together when the session ends
+    timers: {
+      commit: null,
+      bargeIn: null,
+      hangupCheck: null,
+      intro: null,
+      captions: null,
+      realtimeRetry: null,
+    },
+  };
+
+  session.log = callLog(session); // structured lines tagged with this call's sid
+  sessions.set(session.callSid || session.streamSid, session);
+  return session;
+}
+
+// Look a session up by callSid, streamSid or label ("#2" or "2").
+export function getSession(id) {
+  if (!id) return null;
+  if (sessions.has(id)) return sessions.get(id);
+
+  const label = /^#?\d+$/.test(id) ? `#${id.replace(/^#/, "")}` : null;
+  for (const s of sessions.values()) {
+    if (s.streamSid === id || s.label === label) return s;
+  }
+  return null;
+}
+
+export function listSessions() {
+  return [...sessions.values()].sort((a, b) => a.startedAt - b.startedAt);
+}
+
+export function addTranscriptEntry(session, speaker, text) {
+  const entry = {
+    speaker,
+    text,
+    time: Date.now(),
+    seq: session.sequenceCounter++,
+  };
+  session.transcriptEntries.push(entry);
+  sessionEvents.emit("transcript", session, entry);
+  return entry;
+}
+
+export function clearSessionTimers(session) {
+  for (const [name, timer] of Object.entries(session.timers)) {
+    if (!timer) continue;
+    clearTimeout(timer);
+    clearInterval(timer);
+    session.timers[name] = null;
+  }
+}
+
+export function endSession(session) {
+  if (!session) return;
+  clearSessionTimers(session);
+  if (sessions.delete(session.callSid || session.streamSid)) sessionEvents.emit("ended", session);
+}
@@ -0,0 +1,32 @@
+// lib/store.js — tiny JSON-file persistence under DATA_DIR
+
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./log.js";
+
+export function dataDir() {
+  return path.resolve(process.env.DATA_DIR || "data");
+}
+
+export function readJson(name, fallback) {
+  const file = path.join(dataDir(), name);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      log.error("Could not read data file", { file, err });
+    }
+    return fallback;
+  }
+}
+
+// Write to a temp file first so a crash mid-write never leaves half a file
+export function writeJson(name, data) {
+  const dir = dataDir();
+  const file = path.join(dir, name);
+  const tmp = `${file}.tmp`;
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
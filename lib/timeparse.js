@@ -0,0 +1,182 @@
+// lib/timeparse.js — "in 20 minutes", "at 3pm tomorrow", "friday at 9:30am"
+//
+// Absolute times are read as wall-clock time in TIMEZONE (an IANA name,
+// default America/Denver) and returned as plain Date objects.
+
+export function defaultTimeZone() {
+  return process.env.TIMEZONE || "America/Denver";
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+// Wall-clock fields of `date` as seen in `timeZone`
+export function zonedParts(date, timeZone = defaultTimeZone()) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    weekday: "long",
+  });
+  for (const p of fmt.formatToParts(date)) parts[p.type] = p.value;
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock time in `timeZone` -> Date. Re-checks the offset once so
+// times next to a DST change land on the right side of it.
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone = defaultTimeZone()) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - offsetMs(new Date(guess), timeZone);
+  const second = guess - offsetMs(new Date(first), timeZone);
+  return new Date(second);
+}
+
+export function formatWhen(date, timeZone = defaultTimeZone()) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(date);
+}
+
+function parseRelative(text, now) {
+  const m = text.match(
+    /^in\s+(\d+|an?|one)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)$/
+  );
+  if (!m) return null;
+
+  const amount = /^\d+$/.test(m[1]) ? Number(m[1]) : 1;
+  const unit = m[2].startsWith("m") ? "minute" : m[2].startsWith("h") ? "hour" : "day";
+  return new Date(now.getTime() + amount * UNIT_MS[unit]);
+}
+
+// Returns a Date, or null when the text is not a time we understand.
+export function parseWhen(input, now = new Date(), timeZone = defaultTimeZone()) {
+  let text = String(input || "")
+    .toLowerCase()
+    .replace(/\b([ap])\.m\.?/g, "$1m")
+    .replace(/[,.]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) return null;
+
+  const relative = parseRelative(text, now);
+  if (relative) return relative;
+
+  const today = zonedParts(now, timeZone);
+  let dayOffset = null; // days from today
+  let weekday = false;
+  let date = null; // explicit { year, month, day }
+  let hour = null;
+  let minute = 0;
+
+  const take = (re) => {
+    const m = text.match(re);
+    if (m) text = (text.slice(0, m.index) + " " + text.slice(m.index + m[0].length)).trim();
+    return m;
+  };
+
+  // --- Day ---
+  let m;
+  if ((m = take(/\b(today|tonight|tomorrow)\b/))) {
+    dayOffset = m[1] === "tomorrow" ? 1 : 0;
+    if (m[1] === "tonight") hour = 19;
+  } else if (
+    (m = take(
+      /\b(?:on\s+)?(next\s+)?(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)\b/
+    ))
+  ) {
+    const target = WEEKDAYS.findIndex((d) => d.startsWith(m[2].slice(0, 3)));
+    dayOffset = (target - today.weekday + 7) % 7;
+    if (m[1] && dayOffset === 0) dayOffset = 7;
+    weekday = true;
+  } else if ((m = take(/\b(?:on\s+)?(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    date = { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+  } else if ((m = take(/\b(?:on\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+    let year = m[3] ? Number(m[3]) : today.year;
+    if (year < 100) year += 2000;
+    date = { year, month: Number(m[1]), day: Number(m[2]) };
+  }
+
+  // --- Time of day ---
+  if ((m = take(/\b(?:at\s+)?(noon|midnight)\b/))) {
+    hour = m[1] === "noon" ? 12 : 0;
+  } else if ((m = take(/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?=\s|$)/))) {
+    hour = Number(m[1]);
+    minute = m[2] ? Number(m[2]) : 0;
+    const meridiem = m[3] ? m[3][0] : null;
+
+    if (hour > 23 || minute > 59) return null;
+    if (meridiem === "p" && hour < 12) hour += 12;
+    if (meridiem === "a" && hour === 12) hour = 0;
+    // "at 3" almost always means the afternoon
+    if (!meridiem && !m[2] && hour >= 1 && hour <= 7) hour += 12;
+  }
+
+  // Anything left over means we misunderstood the phrase
+  if (text.replace(/\b(at|on)\b/g, "").trim()) return null;
+  if (dayOffset === null && !date && hour === null) return null;
+
+  const explicitDay = dayOffset !== null || date !== null;
+  if (hour === null) hour = 9; // a bare day means the morning
+
+  if (!date) {
+    const base = new Date(Date.UTC(today.year, today.month - 1, today.day + (dayOffset || 0)));
+    date = {
+      year: base.getUTCFullYear(),
+      month: base.getUTCMonth() + 1,
+      day: base.getUTCDate(),
+    };
+  }
+
+  let when = zonedTimeToDate({ ...date, hour, minute }, timeZone);
+
+  // A bare time that has already passed today means tomorrow, and
+  // "friday at 9am" said on a Friday afternoon means next Friday
+  if (!explicitDay && when <= now) {
+    when = zonedTimeToDate({ ...date, day: date.day + 1, hour, minute }, timeZone);
+  } else if (weekday && when <= now) {
+    when = zonedTimeToDate({ ...date, day: date.day + 7, hour, minute }, timeZone);
+  }
+
+  return when;
+}
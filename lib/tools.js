@@ -0,0 +1,91 @@
+// lib/tools.js — Realtime function tools the assistant can call mid-call
+//
+// Only the tools that can work for this call are offered: no transfer
+// without an owner phone number, no availability without a calendar, no
+// record_answer unless the call is gathering answers.
+
+export function realtimeTools({ owner, canTransfer, hasCalendar, questionCount = 0 }) {
+  const tools = [
+    {
+      type: "function",
+      name: "end_call",
+      description:
+        "Hang up. Call this only after you have said goodbye and the conversation is clearly over, " +
+        "never while the other person is still talking.",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", description: "Why the call is ending, in a few words" },
+        },
+      },
+    },
+    {
+      type: "function",
+      name: "record_reply_message",
+      description:
+        `Save the message the other person wants passed back to ${owner}. ` +
+        "Call this once they have confirmed you got it right.",
+      parameters: {
+        type: "object",
+        properties: {
+          message: { type: "string", description: "Their message, in their own words" },
+          callback_requested: { type: "boolean", description: `They asked ${owner} to call them back` },
+          callback_when: { type: "string", description: "When they want the callback, as they said it" },
+        },
+        required: ["message"],
+      },
+    },
+  ];
+
+  if (canTransfer) {
+    tools.push({
+      type: "function",
+      name: "transfer_to_owner",
+      description: `Connect the other person to ${owner} directly, when they ask to talk to ${owner} in person.`,
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", description: "What they want to talk about" },
+        },
+      },
+    });
+  }
+
+  if (hasCalendar) {
+    tools.push({
+      type: "function",
+      name: "check_availability",
+      description:
+        `Check ${owner}'s calendar. With a time, says whether that slot is free; ` +
+        "with only a date, lists the busy times that day. Never reveal what the busy times are for.",
+      parameters: {
+        type: "object",
+        properties: {
+          date: { type: "string", description: "YYYY-MM-DD" },
+          time: { type: "string", description: "HH:MM, 24-hour, local time (optional)" },
+          duration_minutes: { type: "number", description: "Length of the slot (default 30)" },
+        },
+        required: ["date"],
+      },
+    });
+  }
+
+  if (questionCount) {
+    tools.push({
+      type: "function",
+      name: "record_answer",
+      description:
+        `Save the answer to one of ${owner}'s questions, once you have repeated it back and they confirmed it.`,
+      parameters: {
+        type: "object",
+        properties: {
+          question_number: { type: "integer", minimum: 1, maximum: questionCount },
+          answer: { type: "string", description: "The confirmed answer, short and in their words" },
+        },
+        required: ["question_number", "answer"],
+      },
+    });
+  }
+
+  return tools;
+}
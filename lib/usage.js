@@ -0,0 +1,217 @@
+// lib/usage.js — what each call cost, and the monthly budget
+//
+// Costs are priced as they happen and kept on the call's history record
+// (record.usage), one entry per source:
+//   - realtime: Realtime API tokens (response.done, plus input transcription)
+//   - completions: chat completions for translations, summaries and cards
+//   - twilio: minutes per call leg, rounded up the way Twilio bills them
+// Monthly and per-requester totals are added up from call history, so a
+// restart loses nothing. Months are calendar months in TIMEZONE.
+
+import { findCalls } from "./history.js";
+import { zonedParts, zonedTimeToDate } from "./timeparse.js";
+import { log } from "./log.js";
+
+// USD per million tokens; OPENAI_PRICES (JSON, same shape) overrides per model
+const DEFAULT_PRICES = {
+  "gpt-4o-mini-realtime-preview": { textIn: 0.6, cachedIn: 0.3, audioIn: 10, cachedAudioIn: 0.3, textOut: 2.4, audioOut: 20 },
+  "gpt-4o-mini-transcribe": { textIn: 1.25, audioIn: 3, textOut: 5 },
+  "gpt-4o-mini": { textIn: 0.15, cachedIn: 0.075, textOut: 0.6 },
+};
+
+const SOURCES = ["realtime", "completions", "twilio"];
+
+function prices(model) {
+  let custom = {};
+  try {
+    custom = JSON.parse(process.env.OPENAI_PRICES || "{}");
+  } catch {
+    log.error("OPENAI_PRICES is not valid JSON; using default prices");
+  }
+  return { ...DEFAULT_PRICES[model], ...custom[model] };
+}
+
+function perMillion(tokens, price) {
+  return ((tokens || 0) * (price || 0)) / 1e6;
+}
+
+function round(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+export function createUsage() {
+  return {
+    realtime: { inputTokens: 0, outputTokens: 0, usd: 0 },
+    completions: { inputTokens: 0, outputTokens: 0, usd: 0 },
+    twilio: { seconds: 0, usd: 0 },
+  };
+}
+
+function add(entry, fields) {
+  for (const [field, value] of Object.entries(fields)) entry[field] = round((entry[field] || 0) + value);
+}
+
+// `u` is the usage object of a Realtime response.done, or of a finished
+// input transcription (same field names, no cached tokens)
+export function addRealtimeUsage(usage, model, u) {
+  if (!u || u.type === "duration") return;
+  const p = prices(model);
+  const input = u.input_token_details || {};
+  const output = u.output_token_details || {};
+  const cached = input.cached_tokens_details || {};
+
+  const audioIn = input.audio_tokens || 0;
+  const textIn = input.text_tokens ?? (u.input_tokens || 0) - audioIn;
+  const audioOut = output.audio_tokens || 0;
+  const textOut = output.text_tokens ?? (u.output_tokens || 0) - audioOut;
+  const cachedText = cached.text_tokens ?? input.cached_tokens ?? 0;
+  const cachedAudio = cached.audio_tokens || 0;
+
+  add(usage.realtime, {
+    inputTokens: u.input_tokens || 0,
+    outputTokens: u.output_tokens || 0,
+    usd:
+      perMillion(textIn - cachedText, p.textIn) +
+      perMillion(cachedText, p.cachedIn ?? p.textIn) +
+      perMillion(audioIn - cachedAudio, p.audioIn) +
+      perMillion(cachedAudio, p.cachedAudioIn ?? p.audioIn) +
+      perMillion(textOut, p.textOut) +
+      perMillion(audioOut, p.audioOut),
+  });
+}
+
+// `u` is the usage object of a chat-completions response
+export function addCompletionUsage(usage, model, u) {
+  if (!u) return;
+  const p = prices(model);
+  const cached = u.prompt_tokens_details?.cached_tokens || 0;
+
+  add(usage.completions, {
+    inputTokens: u.prompt_tokens || 0,
+    outputTokens: u.completion_tokens || 0,
+    usd:
+      perMillion((u.prompt_tokens || 0) - cached, p.textIn) +
+      perMillion(cached, p.cachedIn ?? p.textIn) +
+      perMillion(u.completion_tokens, p.textOut),
+  });
+}
+
+// One call leg; Twilio bills each started minute
+export function addTwilioUsage(usage, seconds, direction = "outbound") {
+  if (!seconds) return;
+  const perMinute =
+    direction === "inbound"
+      ? Number(process.env.TWILIO_INBOUND_PRICE_PER_MINUTE ?? 0.0085)
+      : Number(process.env.TWILIO_PRICE_PER_MINUTE ?? 0.014);
+
+  add(usage.twilio, { seconds, usd: Math.ceil(seconds / 60) * perMinute });
+}
+
+// Adds every source of `extra` into a copy of `usage`
+export function mergeUsage(usage, extra) {
+  const merged = createUsage();
+  for (const source of SOURCES) {
+    add(merged[source], usage?.[source] || {});
+    add(merged[source], extra?.[source] || {});
+  }
+  return merged;
+}
+
+export function usageTotal(usage) {
+  return round(SOURCES.reduce((sum, source) => sum + (usage?.[source]?.usd || 0), 0));
+}
+
+// === Months and budget ===
+
+// "2026-10" for the month `date` falls in (TIMEZONE)
+export function monthKey(date = new Date()) {
+  const { year, month } = zonedParts(date);
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+function monthRange(key) {
+  const [year, month] = key.split("-").map(Number);
+  return {
+    start: zonedTimeToDate({ year, month, day: 1 }),
+    end: zonedTimeToDate({ year: month === 12 ? year + 1 : year, month: (month % 12) + 1, day: 1 }),
+  };
+}
+
+function callsInMonth(key) {
+  const { start, end } = monthRange(key);
+  return findCalls({ from: start.toISOString() }).filter((c) => Date.parse(c.startedAt) < end.getTime());
+}
+
+// MONTHLY_BUDGET_USD; null when there is no budget
+export function monthlyBudget() {
+  const budget = Number(process.env.MONTHLY_BUDGET_USD);
+  return budget > 0 ? budget : null;
+}
+
+export function monthSpend(key = monthKey()) {
+  return round(callsInMonth(key).reduce((sum, c) => sum + usageTotal(c.usage), 0));
+}
+
+// Totals for one month, overall and per requester (inbound calls are one entry)
+export function usageReport(key = monthKey()) {
+  let totals = createUsage();
+  const requesters = new Map();
+  let calls = 0;
+
+  for (const c of callsInMonth(key)) {
+    if (!c.usage) continue;
+    calls++;
+    totals = mergeUsage(totals, c.usage);
+
+    const id = c.requester?.id ? `${c.channel?.adapter || "groupme"}:${c.requester.id}` : c.direction;
+    const entry = requesters.get(id) || {
+      id,
+      name: c.requester?.name || (c.direction === "inbound" ? "Inbound calls" : "Unknown"),
+      calls: 0,
+      usd: 0,
+    };
+    entry.calls++;
+    entry.usd = round(entry.usd + usageTotal(c.usage));
+    requesters.set(id, entry);
+  }
+
+  const budgetUsd = monthlyBudget();
+  const totalUsd = usageTotal(totals);
+  return {
+    month: key,
+    calls,
+    totalUsd,
+    budgetUsd,
+    budgetUsed: budgetUsd ? round(totalUsd / budgetUsd) : null,
+    sources: totals,
+    requesters: [...requesters.values()].sort((a, b) => b.usd - a.usd),
+  };
+}
+
+// Why no new call may be placed this month, or null
+export function budgetRefusal() {
+  const budget = monthlyBudget();
+  if (!budget) return null;
+
+  const spent = monthSpend();
+  if (spent < budget) return null;
+  return `💰 This month's budget of ${formatUsd(budget)} is used up (${formatUsd(spent)} spent).`;
+}
+
+// A warning the first time spend passes 80% or 100% of the budget, or null
+export function budgetWarning(before, after) {
+  const budget = monthlyBudget();
+  if (!budget) return null;
+
+  if (before < budget && after >= budget) {
+    return `🛑 This month's budget of ${formatUsd(budget)} is used up (${formatUsd(after)} spent). New calls are blocked until next month.`;
+  }
+  if (before < budget * 0.8 && after >= budget * 0.8) {
+    return `⚠️ ${Math.floor((after / budget) * 100)}% of this month's ${formatUsd(budget)} budget is used (${formatUsd(after)} spent).`;
+  }
+  return null;
+}
+
+export function formatUsd(usd) {
+  return usd > 0 && usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
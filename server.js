@@ -1,644 +1,2571 @@
-// server.js — GroupMe + Twilio + OpenAI voice
+// server.js — chat (GroupMe, Slack, Telegram, Discord, webhook) + Twilio + OpenAI voice
 
 import express from "express";
 import fetch from "node-fetch";
 import { WebSocketServer, WebSocket } from "ws";
+import {
+  createSession,
+  getSession,
+  listSessions,
+  addTranscriptEntry,
+  endSession,
+} from "./lib/sessions.js";
+import {
+  chatCompletion,
+  chatCompletionJson,
+  openaiApiBase,
+  openaiRealtimeUrl,
+} from "./lib/openai.js";
+import {
+  parseCallCommand,
+  splitQuestions,
+  interpretCallRequest,
+  savePendingPlan,
+  pendingPlan,
+  clearPendingPlan,
+  planTimeoutMinutes,
+} from "./lib/commands.js";
+import { normalizePhone, looksLikePhone } from "./lib/phone.js";
+import {
+  addContact,
+  removeContact,
+  listContacts,
+  resolveContact,
+  findContactByPhone,
+  listGroups,
+  findGroup,
+  saveGroup,
+  removeGroup,
+  setContactTimeZone,
+} from "./lib/contacts.js";
+import { parseWhen, formatWhen, isValidTimeZone } from "./lib/timeparse.js";
+import {
+  scheduleJob,
+  listJobs,
+  cancelJob,
+  rescheduleJob,
+  startScheduler,
+} from "./lib/scheduler.js";
+import { nextRetry } from "./lib/retry.js";
+import {
+  broadcastConcurrency,
+  createBroadcast,
+  getBroadcast,
+  unfinishedBroadcasts,
+  takeNextRecipients,
+  updateRecipient,
+  finishIfDone,
+} from "./lib/broadcast.js";
+import { recordCall, getCall, updateCall, findCalls } from "./lib/history.js";
+import {
+  callRefusal,
+  calleeTimeZone,
+  isEmergencyNumber,
+  hasAdmins,
+  isAdmin,
+  listDoNotCall,
+  addDoNotCall,
+  removeDoNotCall,
+} from "./lib/policy.js";
+import {
+  createUsage,
+  addRealtimeUsage,
+  addTwilioUsage,
+  mergeUsage,
+  usageTotal,
+  monthKey,
+  monthSpend,
+  usageReport,
+  budgetWarning,
+  budgetRefusal,
+  formatUsd,
+} from "./lib/usage.js";
+import { log } from "./lib/log.js";
+import { counter, gauge, histogram, renderMetrics } from "./lib/metrics.js";
+import { DASHBOARD_HTML, openLiveStream } from "./lib/dashboard.js";
+import { getAdapter, defaultChannel, postToChannel } from "./lib/chat/index.js";
+import {
+  listPersonas,
+  findPersona,
+  getPersona,
+  personaForSender,
+  setSenderPersona,
+  fillTemplate,
+} from "./lib/personas.js";
+import { findLanguage, languageForNumber, setNumberLanguage, listLanguages } from "./lib/languages.js";
+import { realtimeTools } from "./lib/tools.js";
+import { checkAvailability } from "./lib/calendar.js";
+import {
+  requireTwilioSignature,
+  requireApiToken,
+  signStreamToken,
+  checkStreamToken,
+  isAllowedSender,
+  idList,
+  signPath,
+  checkSignedPath,
+} from "./lib/auth.js";
+import {
+  recordingEnabled,
+  createRecorder,
+  recordCaller,
+  recordAssistant,
+  truncateAssistant,
+  saveRecording,
+  recordingPath,
+  deleteRecording,
+  pruneRecordings,
+} from "./lib/recording.js";
 
 const app = express();
-app.use(express.json());
+// Keep the raw body around: Slack and Discord sign the exact bytes they sent
+const keepRawBody = (req, _res, buf) => {
+  req.rawBody = buf.toString("utf8");
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: false, verify: keepRawBody })); // Twilio webhooks are form-encoded
 
 // Health check
 app.get("/", (_req, res) => res.type("text/plain").send("OK"));
 
-// === GroupMe webhook ===
-app.post("/groupme", async (req, res) => {
+// === Chat webhooks (GroupMe, Slack, Telegram, Discord, generic JSON) ===
+app.post("/groupme", (req, res) => handleChatWebhook("groupme", req, res));
+app.post("/chat/:adapter", (req, res) => handleChatWebhook(req.params.adapter, req, res));
+
+async function handleChatWebhook(adapterName, req, res) {
+  const adapter = getAdapter(adapterName);
+  if (!adapter) return res.status(404).send("unknown chat adapter");
+
+  let inbound;
   try {
-    // Optional shared-secret protection
-    if (process.env.GROUPME_SHARED_SECRET) {
-      if (req.get("x-shared-secret") !== process.env.GROUPME_SHARED_SECRET) {
-        return res.status(403).send("forbidden");
-      }
-    }
+    inbound = adapter.parseInbound(req);
+  } catch (err) {
+    log.error("Chat webhook parse error", { adapter: adapter.name, err });
+    return res.status(400).send("bad request");
+  }
 
-    const text = (req.body?.text || "").trim();
-    const senderType = req.body?.sender_type || "";
-    
+  if (inbound.reject) {
+    log.warn("Rejected chat webhook", { adapter: adapter.name, ip: req.ip, reason: inbound.reject });
+    return res.status(403).send("forbidden");
+  }
 
-    // Ignore messages from the bot itself
-    if (senderType === "bot") {
-      return res.send("ok");
-    }
+  // Answer right away (Slack and Discord time out after 3s); replies go
+  // out as separate chat posts
+  if (inbound.ack) {
+    res.json(inbound.ack);
+  } else {
+    res.send("ok");
+  }
 
-    // Manual kill switch from GroupMe: "end calls"
-    if (/^(end|stop|hang ?up)\s+calls?$/i.test(text)) {
-      try {
-        const endedCount = await endAllInProgressCalls();
-        await sendGroupMe(`Requested Twilio to end ${endedCount} in-progress call(s).`);
-      } catch (err) {
-        console.error("Error ending calls:", err);
-        await sendGroupMe("Failed to end calls due to an error.");
-      }
-      return res.send("ok");
-    }
+  const message = inbound.message;
+  if (!message?.text) return;
+
+  // Only allowlisted people / groups may command the bot (it places paid calls)
+  const allowlist = adapter.allowlist();
+  if (!isAllowedSender({ userId: message.sender.id, groupId: message.channel.id }, allowlist)) {
+    const configured = idList(allowlist.users).length || idList(allowlist.groups).length;
+    log.warn("Rejected chat command", {
+      adapter: adapter.name,
+      reason: configured ? "not allowlisted" : "no allowlist configured",
+      userId: message.sender.id,
+      userName: message.sender.name || "unknown",
+      channel: message.channel.id,
+      text: message.text,
+    });
+    return;
+  }
 
-    // Parse commands like: "call 4355551212 and tell Dr. Lee the results are ready."
-    const m = text
-      .replace(/[.,!?]$/i, "")
-      .match(
-        /call\s+([\d\s\-\(\)\+]+)\s*(?:,|\s+)?(?:and\s+)?(?:tell|say|ask)\s+(.+)/i
-      );
+  try {
+    await handleChatCommand(message);
+  } catch (err) {
+    log.error("Chat command error", { adapter: adapter.name, text: message.text, err });
+    await postToChannel(message.channel, "Something went wrong handling that command.");
+  }
+}
 
-    if (!m) {
-      await sendGroupMe(
-        "Try: call 4355551212 and tell Dr. Lee the results are ready."
-      );
-      return res.send("ok");
+// One chat message from any transport. Replies go back to the channel it
+// came from, and so do the captions and summary of any call it starts.
+async function handleChatCommand({ text, sender, channel }) {
+  const reply = (msg) => postToChannel(channel, msg);
+
+  // Manual kill switch from chat: "end calls"
+  if (/^(end|stop|hang ?up)\s+calls?$/i.test(text)) {
+    try {
+      const endedCount = await endAllInProgressCalls();
+      return reply(`Requested Twilio to end ${endedCount} in-progress call(s).`);
+    } catch (err) {
+      log.error("Error ending calls", { err });
+      return reply("Failed to end calls due to an error.");
     }
+  }
+
+  // List the calls currently bridged through this server
+  if (/^(active\s+)?calls$/i.test(text)) {
+    return reply(formatActiveCalls());
+  }
 
-    const to = normalizePhone(m[1]);
-    const prompt = m[2].trim();
+  // Hand a live call to the persona's owner: "join", "join #2"
+  const joinMatch = text.match(/^join(?:\s+(?:call\s+)?(#?\d+))?$/i);
+  if (joinMatch) {
+    const { session, error: pickError } = pickLiveCall(joinMatch[1], channel);
+    if (!session) return reply(pickError);
 
-    if (!to) {
-      await sendGroupMe(
-        `Could not find a valid phone number in "${m[1].trim()}".`
-      );
-      return res.send("ok");
-    }
+    const error = await joinCall(session);
+    if (error) return reply(`[${session.label}] ${error}`);
+    return;
+  }
 
-    const call = await makeTwilioCallWithTwiml(to, prompt);
+  // Steer a live call: "say: …", "ask #2: …", "wrap up", "hang up #2"
+  const steerMatch =
+    text.match(/^(say|ask)(?:\s+(#?\d+))?\s*:\s*([^]+)$/i) ||
+    text.match(/^(wrap[\s-]*up|hang[\s-]*up)(?:\s+(?:call\s+)?(#?\d+))?$/i);
+  if (steerMatch) {
+    const { session, error: pickError } = pickLiveCall(steerMatch[2], channel);
+    if (!session) return reply(pickError);
+
+    const action = steerMatch[1].toLowerCase().replace(/[\s-]+/g, "");
+    const error = await steerCall(session, action, steerMatch[3]?.trim());
+    return reply(error ? `[${session.label}] ${error}` : `[${session.label}] ${STEER_ACKS[action]}`);
+  }
 
-    if (!call.ok) {
-      await sendGroupMe("Twilio call failed.");
-      return res.send("ok");
+  // Address book: "add contact Dr. Lee 4355551212", "contacts", "remove contact Dr. Lee"
+  const addContactMatch = text.match(/^add\s+contact\s+(.+?)\s+([\d\s\-().+]{7,})$/i);
+  if (addContactMatch) {
+    const name = addContactMatch[1].trim();
+    const phone = normalizePhone(addContactMatch[2]);
+    if (!phone) {
+      return reply(`Could not find a valid phone number in "${addContactMatch[2].trim()}".`);
     }
 
-    await sendGroupMe(`Calling ${to} now and saying: "${prompt}"`);
+    const saved = addContact(name, phone);
+    return reply(`${saved.updated ? "Updated" : "Added"} contact ${name}: ${phone}`);
+  }
 
-    res.send("ok");
-  } catch (e) {
-    console.error(e);
-    res.status(500).send("error");
+  const removeContactMatch = text.match(/^(?:remove|delete)\s+contact\s+(.+)$/i);
+  if (removeContactMatch) {
+    const query = removeContactMatch[1].trim();
+    const removed = removeContact(query);
+    if (removed) return reply(`Removed contact ${removed.name} (${removed.phone}).`);
+
+    const { contact, matches } = resolveContact(query);
+    const close = matches || (contact ? [contact] : []);
+    return reply(
+      close.length
+        ? `No contact named exactly "${query}". Did you mean ${close.map((c) => c.name).join(" or ")}? Send the full name to remove it.`
+        : `No contact matching "${query}".`
+    );
   }
-});
 
-// === TwiML for Twilio (voice instructions) ===
-app.get("/twiml", (req, res) => {
-  const prompt = (req.query.prompt || "test").toString();
-  const loopFlag = req.query.loop === "1";
+  if (/^contacts$/i.test(text)) {
+    return reply(formatContacts());
+  }
 
-  const host = req.get("host") || process.env.BASE_HOST;
-  const wsUrl = `wss://${host}/twilio`;
+  // Groups for broadcasts: "add group team: Pat, Sam, 4355551212", "groups", "remove group team"
+  const addGroupMatch = text.match(/^add\s+group\s+([^:]+):\s*(.+)$/i);
+  if (addGroupMatch) {
+    const name = addGroupMatch[1].trim();
+    const members = [];
+    for (const part of addGroupMatch[2].split(/\s*,\s*(?:and\s+)?|\s+and\s+/i).filter(Boolean)) {
+      const member = resolveTarget(part);
+      if (member.error) return reply(member.error);
+      if (!members.some((m) => m.to === member.to)) members.push(member);
+    }
 
-  const promptAttr = String(prompt)
-    .replace(/&/g, "&amp;")
-    .replace(/"/g, "&quot;");
+    const saved = saveGroup(name, members);
+    return reply(
+      `${saved.updated ? "Updated" : "Added"} group ${name} (${members.length}): ` +
+        members.map((m) => m.name || m.to).join(", ")
+    );
+  }
 
-const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Connect>
-    <Stream url="${wsUrl}">
-      <Parameter name="prompt" value="${promptAttr}"/>
-      <Parameter name="loop" value="${loopFlag ? "1" : "0"}"/>
-    </Stream>
-  </Connect>
-</Response>`;
+  const removeGroupMatch = text.match(/^(?:remove|delete)\s+group\s+(.+)$/i);
+  if (removeGroupMatch) {
+    const removed = removeGroup(removeGroupMatch[1].trim());
+    return reply(removed ? `Removed group ${removed.name}.` : `No group named "${removeGroupMatch[1].trim()}".`);
+  }
 
+  if (/^groups$/i.test(text)) {
+    return reply(formatGroups());
+  }
 
+  // Do-not-call list: "dnc", "dnc add Dr. Lee: asked not to be called", "dnc remove 4355551212"
+  if (/^(dnc|do[\s-]not[\s-]call)$/i.test(text)) {
+    return reply(formatDoNotCall());
+  }
 
-  res.set("Content-Type", "text/xml").send(xml);
-});
+  const dncMatch = text.match(/^(?:dnc|do[\s-]not[\s-]call)\s+(add|remove|delete)\s+([^:]+?)(?:\s*:\s*(.+))?$/i);
+  if (dncMatch) {
+    const target = resolveTarget(dncMatch[2].trim());
+    if (target.error) return reply(target.error);
+    const who = target.name ? `${target.name} (${target.to})` : target.to;
 
-// === WebSocket bridge (Twilio <-> OpenAI Realtime) ===
-const server = app.listen(process.env.PORT || 10000, () => {
-  const address = server.address();
-  console.log("Server listening on", address && address.port);
-});
+    if (/^add$/i.test(dncMatch[1])) {
+      addDoNotCall(target.to, { reason: dncMatch[3]?.trim() || null, addedBy: sender?.name || null });
+      return reply(`🚫 Added ${who} to the do-not-call list.`);
+    }
+    if (hasAdmins() && !isAdmin(sender, channel)) {
+      return reply("🔒 Only an admin can take a number off the do-not-call list.");
+    }
+    return reply(
+      removeDoNotCall(target.to) ? `Removed ${who} from the do-not-call list.` : `${who} is not on the do-not-call list.`
+    );
+  }
 
-const wss = new WebSocketServer({ noServer: true });
+  // Callee time zone for quiet hours: "timezone Dr. Lee America/Chicago", "timezone Dr. Lee default"
+  const timeZoneMatch = text.match(/^time\s*zone\s+(.+?)\s+(\S+)$/i);
+  if (timeZoneMatch) {
+    const query = timeZoneMatch[1].trim();
+    const contact = looksLikePhone(query)
+      ? findContactByPhone(normalizePhone(query))
+      : resolveContact(query).contact;
+    if (!contact) {
+      return reply(`No contact matching "${query}". Add one with: add contact ${query} 4355551212`);
+    }
 
-server.on("upgrade", (req, socket, head) => {
-  console.log("WS upgrade request:", req.url);
+    if (/^(default|none|reset)$/i.test(timeZoneMatch[2])) {
+      setContactTimeZone(contact, null);
+      return reply(`Quiet hours for ${contact.name} will use ${calleeTimeZone(contact.phone)} (from the number).`);
+    }
+    if (!isValidTimeZone(timeZoneMatch[2])) {
+      return reply(`Unknown time zone "${timeZoneMatch[2]}". Use a name like America/Chicago or Europe/London.`);
+    }
 
-  if (req.url && req.url.startsWith("/twilio")) {
-    wss.handleUpgrade(req, socket, head, (ws) => {
-      console.log("WS upgraded to /twilio");
-      handleTwilio(ws, req).catch((err) => {
-        console.error("handleTwilio error:", err);
-        try {
-          ws.close();
-        } catch {
-          // ignore
-        }
-      });
-    });
-  } else {
-    socket.destroy();
+    setContactTimeZone(contact, timeZoneMatch[2]);
+    return reply(`${contact.name} is in ${timeZoneMatch[2]}; quiet hours follow their local time.`);
   }
-});
 
-async function handleTwilio(ws, req) {
-  console.log("WS handler entered:", req.url);
+  // Call history: "history", "history Dr. Lee", "history 4355551212", "transcript 12"
+  const historyMatch = text.match(/^history(?:\s+(.+))?$/i);
+  if (historyMatch) {
+    const query = historyMatch[1]?.trim();
+    let number = null;
 
-  let prompt = "test";
-  let echoMode = false; // currently unused, but kept for future behavior
-  let streamSid = null;
-  let started = false;
-  let callSid = null;
-
-  let transcriptText = ""; // collect everything said
-  let transcriptEntries = []; // structured events
-  let sequenceCounter = 0;     // guarantees ordering even with identical timestamps
-  let hasBufferedAudio = false;
-  let oai = null;
-  let oaiReady = false;
-  let commitTimer = null;
-  let allowAssistantAudio = true; // <- controls barge-in: whether Twilio is allowed to play assistant audio
-  let currentResponseId = null; // NEW
-  let assistantSpeaking = false; // is the bot currently speaking?
-  let bargeInTimeout = null;
-
-  // For graceful hangup after goodbye
-  let goodbyeDetected = false;       // did the assistant say goodbye?
-  let lastAudioOutTime = null;       // last time we sent audio to Twilio
-  let goodbyeCheckTimer = null;      // interval that watches for audio to finish
+    if (query) {
+      number = looksLikePhone(query) ? normalizePhone(query) : resolveContact(query).contact?.phone;
+      if (!number) {
+        return reply(`No number or contact matching "${query}".`);
+      }
+    }
 
+    return reply(formatHistory(findCalls({ number, limit: 10 }), query));
+  }
 
-  const DEBOUNCE_MS = 700;
+  const transcriptMatch = text.match(/^transcript\s+#?(\d+)$/i);
+  if (transcriptMatch) {
+    const record = getCall(transcriptMatch[1]);
+    return reply(
+      record ? formatCallRecord(record) : `No call with id ${transcriptMatch[1]}.`
+    );
+  }
 
-  function ensureOpenAI() {
-    if (oai) return;
-  
-    if (!process.env.OPENAI_API_KEY) {
-      console.error("Missing OPENAI_API_KEY env var");
-      return;
+  // Costs: "usage" (this month), "usage 2026-09"
+  const usageMatch = text.match(/^(?:usage|costs?)(?:\s+(\d{4}-\d{2}))?$/i);
+  if (usageMatch) {
+    return reply(formatUsage(usageReport(usageMatch[1] || monthKey())));
+  }
+
+  // Scheduled calls: "scheduled", "cancel 3", "reschedule 3 tomorrow at 9am"
+  if (/^scheduled(\s+calls)?$/i.test(text)) {
+    return reply(formatScheduledCalls());
+  }
+
+  const cancelMatch = text.match(/^cancel\s+#?(\d+)$/i);
+  if (cancelMatch) {
+    const job = cancelJob(cancelMatch[1]);
+    return reply(
+      job
+        ? `Cancelled scheduled call ${job.id} to ${job.to}.`
+        : `No scheduled call with id ${cancelMatch[1]}.`
+    );
+  }
+
+  const rescheduleMatch = text.match(/^reschedule\s+#?(\d+)\s+(?:to\s+|for\s+)?(.+)$/i);
+  if (rescheduleMatch) {
+    const runAt = parseWhen(rescheduleMatch[2]);
+    if (!runAt) {
+      return reply(`Could not understand the time "${rescheduleMatch[2]}".`);
     }
-  
-    oai = new WebSocket(
-      "wss://api.openai.com/v1/realtime?model=gpt-4o-mini-realtime-preview",
-      "realtime",
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-          "OpenAI-Beta": "realtime=v1",
-        },
-      }
+    if (runAt <= new Date()) {
+      return reply(`${formatWhen(runAt)} is in the past.`);
+    }
+
+    const job = rescheduleJob(rescheduleMatch[1], runAt);
+    return reply(
+      job
+        ? `Rescheduled call ${job.id} to ${job.to} for ${formatWhen(runAt)}.`
+        : `No scheduled call with id ${rescheduleMatch[1]}.`
     );
+  }
 
-  
-oai.on("open", () => {
-  oaiReady = true;
+  // Default call language for a contact or number: "language Dr. Lee Spanish",
+  // "language 4355551212 default"
+  const languageMatch = text.match(/^language\s+(.+?)\s+(\S+)$/i);
+  if (languageMatch) {
+    const target = languageMatch[1].trim();
+    const phone = looksLikePhone(target) ? normalizePhone(target) : resolveContact(target).contact?.phone;
+    if (!phone) {
+      return reply(`No number or contact matching "${target}".`);
+    }
 
-  oai.send(
-    JSON.stringify({
-      type: "session.update",
-      session: {
-        voice: "ash",
-        modalities: ["audio", "text"],
-        input_audio_format: "g711_ulaw",
-        output_audio_format: "g711_ulaw",
-        turn_detection: {
-          type: "server_vad",
-          threshold: 0.6,          // you can tune this
-          silence_duration_ms: 300 // how long silence = turn finished
-        },
-        instructions:
-          "You are Oscar's professional phone assistant. " +
-          "When the call connects, greet the caller naturally (for example, 'Hi, this is Oscar's personal call assistant'). " +
-          "Speak in clear American English with a calm, friendly but not overly cheerful tone. " +
-          "Sound conversational and natural, like a real person, but keep replies short (one or two sentences). " +
-          "Be polite and efficient, stay focused on Oscar's message, and avoid rambling.",
-        input_audio_transcription: {
-          model: "gpt-4o-mini-transcribe",
-          language: "en",
-        },
-      },
-    })
-  );
-});
+    if (/^(default|none|reset)$/i.test(languageMatch[2])) {
+      setNumberLanguage(phone, null);
+      return reply(`Calls to ${target} will use the persona's language.`);
+    }
+
+    const language = findLanguage(languageMatch[2]);
+    if (!language) {
+      return reply(
+        `Unknown language "${languageMatch[2]}". Try: ${listLanguages().map((l) => l.name).join(", ")}.`
+      );
+    }
 
+    setNumberLanguage(phone, language);
+    return reply(`Calls to ${target} (${phone}) will be in ${language.name}.`);
+  }
 
-  
-oai.on("message", (data) => {
-  let msg;
-  try {
-    msg = JSON.parse(data.toString());
-  } catch {
-    return;
+  // Personas: "personas", "persona Maria" (sets your default), "as Maria: call …"
+  if (/^personas$/i.test(text)) {
+    return reply(formatPersonas(personaForSender(sender, channel)));
   }
 
-  const t = msg.type;
-  const isAudio =
-    t === "response.audio.delta" || t === "response.output_audio.delta";
+  const personaMatch = text.match(/^persona\s+(.+)$/i);
+  if (personaMatch) {
+    const chosen = findPersona(personaMatch[1]);
+    if (!chosen) {
+      return reply(`No persona named "${personaMatch[1].trim()}". Send "personas" to see them.`);
+    }
 
-  // ✅ Make sure buffers exist before we append
-  if (globalThis._assistantBuffer === undefined) {
-    globalThis._assistantBuffer = "";
+    setSenderPersona(sender, channel, chosen);
+    return reply(`Your calls will now be made as ${chosen.owner}'s assistant.`);
   }
-  if (globalThis._callerLastItemId === undefined) {
-    globalThis._callerLastItemId = null;
+
+  // Admins can skip the call policy: "override: call 4355551212 and tell …"
+  let override = false;
+  const overrideMatch = text.match(/^override\s*:?\s+(.+)$/i);
+  if (overrideMatch) {
+    if (!isAdmin(sender, channel)) {
+      return reply("🔒 Only an admin can override the call limits.");
+    }
+    override = true;
+    text = overrideMatch[1];
   }
 
-  // ====== TRACK CURRENT RESPONSE FOR CANCELLATION ======
-  if (t === "response.created") {
-    currentResponseId = msg.response?.id || null;
-    allowAssistantAudio = true; // new assistant turn -> allow audio
+  let persona = personaForSender(sender, channel);
+  const asMatch = text.match(/^as\s+([^:]+):\s*(.+)$/i);
+  if (asMatch) {
+    persona = findPersona(asMatch[1]);
+    if (!persona) {
+      return reply(`No persona named "${asMatch[1].trim()}". Send "personas" to see them.`);
+    }
+    text = asMatch[2];
   }
 
-  if (t === "response.completed" || t === "response.stopped") {
-    assistantSpeaking = false;     // bot is no longer talking
-    currentResponseId = null;      // nothing to cancel anymore
-    // (leave allowAssistantAudio alone; next turn will re-use it)
+  // Parse commands like: "call 4355551212 and tell Dr. Lee the results are ready."
+  // or with a time: "call 4355551212 at 3pm tomorrow and tell …" / "… in 20 minutes and tell …"
+  const command = parseCallCommand(text);
+  if (command && !process.env.OPENAI_API_KEY) {
+    clearPendingPlan(sender, channel);
+    return runCallCommand({ command, sender, channel, persona, override });
   }
 
-  // ====== INIT TRANSCRIPT BUFFERS ======
-  if (t === "response.audio_transcript.delta" && msg.delta) {
-    globalThis._assistantBuffer += msg.delta;
+  // Anything else: a free-form request, or an answer to the plan echoed back
+  return handleCallRequest({ text, command, sender, channel, asPersona: asMatch ? persona : null, override });
+}
 
-    if (/[.!?"]$/.test(msg.delta.trim())) {
-      const sentence = globalThis._assistantBuffer.trim();
+// Places, schedules or broadcasts a parsed call command
+async function runCallCommand({ command, sender, channel, persona, override }) {
+  const reply = (msg) => postToChannel(channel, msg);
+  const prompt = command.prompt;
+  const { recipients, error: targetError } = resolveRecipients(command.target);
+  if (targetError) return reply(targetError);
 
-      transcriptEntries.push({
-        speaker: "Assistant",
-        text: sentence,
-        time: Date.now(),
-        seq: sequenceCounter++,
-      });
+  const language = findLanguage(command.language);
 
-      setTimeout(() => {
-        sendGroupMeBatched("Assistant", sentence);
-      }, 1500);
-
-      // 🚪 If the assistant clearly ends the conversation, mark goodbye
-      if (
-        callSid &&
-        /\b(goodbye|have a great day|i'll let you go|talk to you later)\b/i.test(sentence)
-      ) {
-        console.log("Goodbye phrase detected in transcript");
-        goodbyeDetected = true;
-      }
+  // Several people: "call Pat, Sam and 4355551212 and tell …", "call team and tell …"
+  if (recipients.length > 1) {
+    if (command.when) {
+      return reply("⏰ Calls to several people can't be scheduled yet; send it without a time.");
+    }
+    return startBroadcast({
+      recipients,
+      prompt,
+      channel,
+      requester: sender,
+      persona: persona.id,
+      language: language?.code || null,
+      goal: command.goal,
+      ...(override ? { override } : {}),
+    });
+  }
+
+  const [{ to, name }] = recipients;
+  const who = name ? `${name} (${to})` : to;
 
-      globalThis._assistantBuffer = "";
+  if (command.when) {
+    const runAt = parseWhen(command.when);
+    if (!runAt) {
+      return reply(`Could not understand the time "${command.when}".`);
     }
+    if (runAt <= new Date()) {
+      return reply(`${formatWhen(runAt)} is in the past.`);
+    }
+
+    const refusal = callRefusal({ to, requester: sender, channel, at: runAt, override });
+    if (refusal) return reply(refusalMessage(who, refusal));
+
+    const job = scheduleJob({
+      to,
+      name,
+      prompt,
+      runAt,
+      channel,
+      requester: sender,
+      persona: persona.id,
+      language: language?.code || null,
+      goal: command.goal,
+      ...(override ? { override } : {}),
+    });
+    const inLanguage = language ? ` in ${language.name}` : "";
+    return reply(
+      `⏰ Scheduled call ${job.id}: ${who} at ${formatWhen(runAt)}${inLanguage}, ${goalVerb(command.goal)}: "${prompt}"`
+    );
   }
 
+  await placeCall({
+    to,
+    name,
+    prompt,
+    channel,
+    requester: sender,
+    persona: persona.id,
+    language: language?.code || null,
+    goal: command.goal,
+    override,
+  });
+}
 
-// ====== CALLER TRANSCRIPT (for logging only) ======
-if (t === "conversation.item.input_audio_transcription.completed" && msg.transcript) {
-  const callerText = msg.transcript.trim();
-  const words = callerText.split(/\s+/).filter(Boolean);
+// === Free-form call requests ===
+// Without OPENAI_API_KEY only the "call … and tell …" form works, and it
+// dials right away. With it, every call request (parsed by parseCallCommand
+// or read by the model) becomes a plan that is echoed back first: "yes"
+// dials it, "no" drops it, and anything else is taken as a change.
+const CALL_HINT = "Try: call 4355551212 and tell Dr. Lee the results are ready.";
+// Only a plain yes confirms: "call Pat…" or "go for it, but at 5" must not dial
+const YES_RE = /^(y|yes|ok|okay|confirm)[.!]*$/i;
+const NO_RE = /^(n|no|nope|cancel|never\s*mind|forget it|don't)\b[\s.!]*$/i;
+
+async function handleCallRequest({ text, command: parsed = null, sender, channel, asPersona, override }) {
+  const reply = (msg) => postToChannel(channel, msg);
+  const pending = pendingPlan(sender, channel);
+
+  // A complete "call … and tell …" command replaces any plan still pending
+  if (parsed) return proposePlan({ command: parsed, sender, channel, persona: asPersona, override });
+
+  if (YES_RE.test(text.trim())) {
+    if (!pending) {
+      return reply(`Nothing to confirm. Plans are kept for ${planTimeoutMinutes()} minutes; send the request again.`);
+    }
+    clearPendingPlan(sender, channel);
+    const { command, persona, override: planOverride } = pending;
+    return runCallCommand({ command, sender, channel, persona, override: planOverride });
+  }
+  if (pending && NO_RE.test(text.trim())) {
+    clearPendingPlan(sender, channel);
+    return reply("👍 Dropped that call.");
+  }
 
-  if (words.length < 1 || callerText.length < 3) return;
+  if (!process.env.OPENAI_API_KEY) return reply(CALL_HINT);
 
-  if (globalThis._callerLastItemId === msg.item_id) return;
-  globalThis._callerLastItemId = msg.item_id;
+  let command;
+  try {
+    command = await interpretCallRequest(text, {
+      previous: pending?.command,
+      names: [...listContacts().map((c) => c.name), ...listGroups().map((g) => g.name)],
+      requester: sender?.name,
+    });
+  } catch (err) {
+    log.error("Call request parse error", { text, err });
+    return reply(CALL_HINT);
+  }
+  if (!command) {
+    return reply(pending ? 'Reply "yes" to place the call, "no" to drop it, or say what to change.' : CALL_HINT);
+  }
 
-  transcriptEntries.push({
-    speaker: "Caller",
-    text: callerText,
-    time: Date.now(),
-    seq: sequenceCounter++,
+  return proposePlan({
+    command,
+    sender,
+    channel,
+    persona: asPersona || pending?.persona,
+    override: override || Boolean(pending?.override),
   });
+}
 
-  sendGroupMeBatched("Caller", callerText);
-
-  // ❌ no barge-in logic here anymore
+// Echoes the plan back and keeps it until it is confirmed, dropped or changed
+async function proposePlan({ command, sender, channel, persona, override }) {
+  const reply = (msg) => postToChannel(channel, msg);
+  const plan = { command, persona: persona || personaForSender(sender, channel), override };
+  const { text: summary, error } = describePlan(plan, { sender, channel });
+  if (error) return reply(error); // an earlier plan, if any, stays pending
+
+  savePendingPlan(sender, channel, plan);
+  return reply(
+    `📝 Here's the plan:\n${summary}\n` +
+      'Reply "yes" to place it, "no" to drop it, or say what to change (e.g. "make it 5pm").'
+  );
 }
 
-// ====== BARGE-IN: user starts talking WHILE bot is speaking ======
-if (t === "input_audio_buffer.speech_started") {
-  console.log("speech_started; assistantSpeaking =", assistantSpeaking);
+// The plan as it is echoed back, or { error } when it could not be placed.
+// A call the policy would refuse is refused now rather than after "yes".
+function describePlan({ command, persona, override }, { sender, channel }) {
+  const { recipients, error } = resolveRecipients(command.target);
+  if (error) return { error };
 
-  // Only barge in if the bot is talking
-  if (!assistantSpeaking) return;
+  const lines = [`• Call: ${recipients.map((r) => (r.name ? `${r.name} (${r.to})` : r.to)).join(", ")}`];
 
-  // Clear any previous timer so we don't stack them
-  if (bargeInTimeout) {
-    clearTimeout(bargeInTimeout);
-    bargeInTimeout = null;
+  if (command.when) {
+    const runAt = parseWhen(command.when);
+    if (!runAt) return { error: `Could not understand the time "${command.when}".` };
+    if (runAt <= new Date()) return { error: `${formatWhen(runAt)} is in the past.` };
+    if (recipients.length > 1) {
+      return { error: "⏰ Calls to several people can't be scheduled yet; ask for it without a time." };
+    }
+    lines.push(`• When: ${formatWhen(runAt)}`);
+  } else {
+    lines.push("• When: now");
   }
 
-  // Wait ~150ms to confirm it's *actual* speech, not a click/pop
-  bargeInTimeout = setTimeout(() => {
-    console.log("⏱ Debounced barge-in firing");
-
-    allowAssistantAudio = false;
-    assistantSpeaking = false;
+  if (recipients.length === 1) {
+    const [{ to, name }] = recipients;
+    const at = command.when ? parseWhen(command.when) : new Date();
+    const refusal = callRefusal({ to, requester: sender, channel, at, override });
+    if (refusal) return { error: refusalMessage(name ? `${name} (${to})` : to, refusal) };
+  }
 
-    // Stop Twilio playback
-    if (ws.readyState === WebSocket.OPEN && streamSid) {
-      ws.send(JSON.stringify({ event: "clear", streamSid }));
+  if (command.language) {
+    const language = findLanguage(command.language);
+    if (!language) {
+      return { error: `Unknown language "${command.language}". Try: ${listLanguages().map((l) => l.name).join(", ")}.` };
     }
+    lines.push(`• Language: ${language.name}`);
+  }
+  if (listPersonas().length > 1) lines.push(`• As: ${persona.owner}'s assistant`);
+  if (override) lines.push("• Call limits: overridden");
 
-    // Stop OpenAI assistant speech
-    if (currentResponseId && oai && oai.readyState === WebSocket.OPEN) {
-      oai.send(
-        JSON.stringify({
-          type: "response.cancel",
-          response_id: currentResponseId,
-        })
-      );
-    }
-  }, 150); // <<< tweak this: 100 = more sensitive, 200 = less
+  if (command.goal === "questions") {
+    const questions = splitQuestions(command.prompt);
+    lines.push(`• Ask:\n${questions.map((q, i) => `  ${i + 1}. ${q}`).join("\n")}`);
+  } else {
+    lines.push(`• Tell: "${command.prompt}"`);
+  }
+  return { text: lines.join("\n") };
 }
 
+// === Call targets ===
+// A number or contact name. Returns { to, name } or { error }.
+function resolveTarget(target) {
+  if (looksLikePhone(target) && isEmergencyNumber(target)) {
+    return { error: `🚨 ${target} is an emergency number. Call it yourself; calls from here are never placed to emergency services.` };
+  }
+  if (looksLikePhone(target)) {
+    const to = normalizePhone(target);
+    if (!to) return { error: `Could not find a valid phone number in "${target}".` };
+    return { to, name: findContactByPhone(to)?.name || null };
+  }
 
+  const { contact, matches } = resolveContact(target);
+  if (matches) {
+    const options = matches.map((c) => `${c.name} (${c.phone})`).join(", ");
+    return { error: `"${target}" could be ${options}. Which one? Send the command again with the full name.` };
+  }
+  if (!contact) {
+    return { error: `No contact named "${target}". Add one with: add contact ${target} 4355551212` };
+  }
+  return { to: contact.phone, name: contact.name };
+}
 
+// One person, a group, or a list of either: "Pat", "team", "Pat, Sam and 4355551212".
+// Returns { recipients: [{ to, name }] } (no duplicate numbers) or { error }.
+function resolveRecipients(target) {
+  const group = findGroup(target);
+  if (group) return { recipients: group.members };
 
+  const parts = target.split(/\s*,\s*(?:and\s+)?|\s+and\s+|\s*&\s*/i).filter(Boolean);
+  if (parts.length > 1) {
+    const found = parts.map((part) => findGroup(part)?.members || [resolveTarget(part)]).flat();
+    const failed = found.find((r) => r.error);
 
+    if (!failed) {
+      const unique = found.filter((r, i) => found.findIndex((o) => o.to === r.to) === i);
+      return { recipients: unique };
+    }
+    // Maybe a name with "and" in it ("Smith and Sons")
+    const whole = resolveTarget(target);
+    return whole.error ? { error: failed.error } : { recipients: [whole] };
+  }
 
-  // ====== FORWARD ASSISTANT AUDIO TO TWILIO (gated) ======
-  if (isAudio && msg.delta && streamSid && allowAssistantAudio) {
-    assistantSpeaking = true; // bot is actively talking
-    lastAudioOutTime = Date.now(); // track last chunk sent to Twilio
-  
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(
-        JSON.stringify({
-          event: "media",
-          streamSid,
-          media: { payload: msg.delta },
-        })
-      );
+  const single = resolveTarget(target);
+  return single.error ? single : { recipients: [single] };
+}
+
+// === Call history API ===
+// Behind API_TOKEN (see requireApiToken); off until one is set
+// GET /api/calls?number=4355551212&from=2026-10-01&to=2026-10-19&limit=50
+app.get("/api/calls", requireApiToken, (req, res) => {
+  const number = req.query.number ? normalizePhone(String(req.query.number)) : null;
+  if (req.query.number && !number) {
+    return res.status(400).json({ error: "invalid number" });
+  }
+
+  for (const key of ["from", "to"]) {
+    if (req.query[key] && Number.isNaN(Date.parse(req.query[key]))) {
+      return res.status(400).json({ error: `invalid ${key} date` });
     }
   }
 
+  const calls = findCalls({
+    number,
+    from: req.query.from,
+    to: req.query.to,
+    callbackRequested: req.query.callback === "1" || req.query.callback === "true",
+    limit: Number(req.query.limit) || 100,
+  }).map(({ transcriptEntries, ...rest }) => rest);
+
+  res.json({ calls });
 });
 
+app.get("/api/calls/:id", requireApiToken, (req, res) => {
+  const record = getCall(req.params.id);
+  if (!record) return res.status(404).json({ error: "not found" });
+  res.json(record);
+});
 
+// GET /api/usage?month=2026-10 (default: this month, in TIMEZONE)
+app.get("/api/usage", requireApiToken, (req, res) => {
+  const month = req.query.month ? String(req.query.month) : monthKey();
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({ error: "invalid month (use YYYY-MM)" });
+  }
+  res.json(usageReport(month));
+});
 
+// === Dashboard ===
+// GET /dashboard?token=<API_TOKEN>: live calls with streaming transcripts,
+// recent calls, hang-up buttons and a new-call form (see lib/dashboard.js).
+const DASHBOARD_REQUESTER = { id: "dashboard", name: "Dashboard" };
 
-  
-    oai.on("error", (err) => console.error("OpenAI WS error:", err));
-    oai.on("close", () => console.log("OpenAI socket closed"));
-  }
+app.get("/dashboard", requireApiToken, (_req, res) => {
+  res.set("Cache-Control", "no-store").type("html").send(DASHBOARD_HTML);
+});
 
+app.get("/api/live", requireApiToken, openLiveStream);
 
-  ws.on("message", async (buf) => {
-    let msg;
-    try {
-      msg = JSON.parse(buf.toString());
-    } catch {
-      return;
-    }
+// POST /api/live/CA123/hangup (or /api/live/2/hangup for call #2)
+app.post("/api/live/:id/hangup", requireApiToken, async (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session?.callSid) return res.status(404).json({ error: "no such live call" });
 
-    if (msg.event === "connected") return;
+  try {
+    await endTwilioCall(session.callSid);
+  } catch (err) {
+    session.log.error("Dashboard hang-up failed", { err });
+    return res.status(502).json({ error: `Twilio could not end the call: ${err.message}` });
+  }
+  addTranscriptEntry(session, "System", "Hung up from the dashboard");
+  await postToChannel(session.channel || defaultChannel(), `[${session.label}] 📴 Hung up from the dashboard.`);
+  res.json({ ok: true });
+});
 
-    if (msg.event === "start" && !started) {
-      started = true;
-      streamSid = msg.start?.streamSid || null;
-      callSid = msg.start?.callSid || null;
+// POST /api/calls { target, message, goal?: "message" | "questions", language?, persona? }
+app.post("/api/calls", requireApiToken, async (req, res) => {
+  const { target, message, goal, language, persona } = req.body || {};
+  if (!String(target || "").trim() || !String(message || "").trim()) {
+    return res.status(400).json({ error: "target and message are required" });
+  }
 
-      await sendGroupMe("Call connected");
+  const resolved = resolveTarget(String(target).trim());
+  if (resolved.error) return res.status(400).json({ error: resolved.error });
+  if (language && !findLanguage(language)) return res.status(400).json({ error: `unknown language "${language}"` });
+  if (persona && !findPersona(persona)) return res.status(400).json({ error: `no persona named "${persona}"` });
 
-      const cp = msg.start?.customParameters || {};
-      if (typeof cp.prompt === "string" && cp.prompt.trim()) {
-        prompt = cp.prompt.trim();
-      }
+  const channel = defaultChannel();
+  const refusal = callRefusal({ to: resolved.to, requester: DASHBOARD_REQUESTER, channel });
+  if (refusal) return res.status(409).json({ error: refusal });
 
-      echoMode = cp.loop === "1";
-      console.log("Start received. prompt:", prompt);
+  let record;
+  try {
+    record = await placeCall({
+      to: resolved.to,
+      name: resolved.name,
+      prompt: String(message).trim(),
+      channel,
+      requester: DASHBOARD_REQUESTER,
+      persona: persona ? findPersona(persona).id : null,
+      language: findLanguage(language)?.code || null,
+      goal: goal === "questions" ? "questions" : "message",
+    });
+  } catch (err) {
+    log.error("Dashboard call failed", { to: resolved.to, err });
+    return res.status(502).json({ error: `Twilio could not place the call: ${err.message}` });
+  }
+  if (!record) return res.status(502).json({ error: "Twilio could not place the call" });
+  res.status(201).json({ call: record });
+});
 
-      ensureOpenAI();
+// === Metrics (Prometheus text format) ===
+gauge("relaybot_active_calls", "Calls bridged through this server right now", () => listSessions().length);
+const callsEnded = counter("relaybot_calls_total", "Calls that ended, by direction and outcome", {
+  labelNames: ["direction", "outcome"],
+});
+const firstAudioSeconds = histogram(
+  "relaybot_first_audio_seconds",
+  "Time from the media stream start to the first assistant audio sent to Twilio",
+  [0.5, 1, 1.5, 2, 3, 5, 8, 13]
+);
+const bargeIns = counter("relaybot_barge_ins_total", "Times a caller interrupted the assistant");
+const openaiErrors = counter("relaybot_openai_errors_total", "OpenAI Realtime socket errors and error events", {
+  labelNames: ["kind"],
+});
+const summarySeconds = histogram(
+  "relaybot_summary_seconds",
+  "Time from the end of a call to its summary (or answers) being posted",
+  [1, 2, 5, 10, 20, 30, 60]
+);
+
+app.get("/metrics", requireApiToken, (_req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
 
-      // Start watcher that will hang up only after goodbye + audio drain
-      if (!goodbyeCheckTimer) {
-        goodbyeCheckTimer = setInterval(() => {
-          // Need a call, a detected goodbye, and some audio sent
-          if (!callSid || !goodbyeDetected || !lastAudioOutTime) return;
+// Stereo WAV (caller left, assistant right). Reachable only through the
+// signed link posted to chat or with API_TOKEN; with neither it is refused,
+// and DELETE never accepts a signed link.
+function allowRecordingLink(req, res, next) {
+  if (checkSignedPath(req.path, req.query)) return next();
+  requireApiToken(req, res, next);
+}
 
-          const msSinceLastAudio = Date.now() - lastAudioOutTime;
+app.get("/api/calls/:id/recording", allowRecordingLink, (req, res) => {
+  const record = getCall(req.params.id);
+  if (!record?.recording) return res.status(404).json({ error: "no recording" });
 
-          // If it's been quiet for > 1500ms after goodbye, end the call
-          if (msSinceLastAudio > 3500) {
-            console.log("Hanging up after goodbye; audio fully delivered");
-            endTwilioCall(callSid).catch((err) =>
-              console.error("Error ending Twilio call:", err)
-            );
+  res.set("Content-Type", "audio/wav");
+  res.set("Content-Disposition", `inline; filename="call-${record.id}.wav"`);
+  res.sendFile(recordingPath(record.id), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: "no recording" });
+  });
+});
 
-            clearInterval(goodbyeCheckTimer);
-            goodbyeCheckTimer = null;
-          }
-        }, 300); // check ~3x per second
-      }
+app.delete("/api/calls/:id/recording", requireApiToken, (req, res) => {
+  const record = getCall(req.params.id);
+  if (!record?.recording) return res.status(404).json({ error: "no recording" });
 
+  deleteRecording(record.id);
+  updateCall(record.id, { recording: null });
+  res.status(204).end();
+});
 
-      const introTimer = setInterval(() => {
-        if (oaiReady && oai && oai.readyState === WebSocket.OPEN) {
-          clearInterval(introTimer);
-
-      const baseInstructions =
-  "You are Oscar's professional phone assistant. " +
-  "When the call connects, greet the caller naturally, for example: 'Hi, this is Oscar's personal call assistant.' " +
-  "Speak in clear American English with a calm, friendly but not overly cheerful tone. " +
-  "Sound conversational and natural, but keep replies short (one or two sentences). " +
-  "Be polite and efficient and stay focused on helping with Oscar's message. " +
-  "If asked directly whether you are an AI, answer honestly but briefly and redirect back to helping. " +
-  "When it seems the conversation is finished, say a brief goodbye that includes one of the keywords: " +
-  "'goodbye', 'have a great day', or 'talk to you later'. Saying one of these three messages will trigger the call to end. " +
-  "After you use one of the keywords to end the call, stop talking.";
-
-      const callGoal =
-        `The purpose of this call is to relay this message from Oscar: "${prompt}". ` +
-        "At the beginning, briefly greet the caller and ask if they would like to hear the message from Oscar. " +
-        "If they say yes, clearly say the message once. " +
-        "If they seem confused, you may briefly clarify the message in simple terms. " +
-        "After you deliver the message, ask once if they would like to send a short message back to Oscar. " +
-        "If they dictate a message back, paraphrase it in your own words and repeat it back to them, then ask if you got it right. " +
-        "If they correct you, repeat the corrected version once. " +
-        "Finally, confirm that you will pass their message along to Oscar. " +
-        "Do not pressure them if they do not want to send anything back.";
-
-
-      const openingLine =
-        "Hi, this is Oscar's personal call assistant. " +
-        "Oscar asked me to give you a quick message. Would you like to hear it?";
-
-
-          // 1️⃣ Update session so GPT knows what this call is about AND what to say first
-          oai.send(
-            JSON.stringify({
-              type: "session.update",
-              session: {
-                instructions:
-                  `${baseInstructions}\n\n` +
-                  `${callGoal}\n\n` +
-                  `Your VERY FIRST utterance on this call must be exactly this sentence, word for word, and nothing else. After you say it, stop talking and wait for the other person to respond:\n` +
-                  `"${openingLine}"`,
-              },
-            })
-          );
+// === Twilio call status callbacks (set on every outbound call) ===
+app.post("/twilio/status", requireTwilioSignature, async (req, res) => {
+  try {
+    await handleCallStatus(req.body || {});
+    res.send("ok");
+  } catch (e) {
+    log.error("Status callback error", { callSid: req.body?.CallSid, err: e });
+    res.status(500).send("error");
+  }
+});
 
-          // 2️⃣ Ask the model to produce that first response (audio + text)
-          oai.send(
-            JSON.stringify({
-              type: "response.create",
-              response: {
-                modalities: ["audio", "text"],
-                output_audio_transcription: { enable: true },
-              },
-            })
-          );
-        }
-      }, 50);
+// === Transfer result: Dial action, or the owner leg's status in conference mode ===
+app.post("/twilio/transfer", requireTwilioSignature, async (req, res) => {
+  try {
+    const twiml = await handleTransferStatus(req.query.call, req.body || {}, req.query.leg);
+    res.set("Content-Type", "text/xml").send(twiml);
+  } catch (e) {
+    log.error("Transfer callback error", { callId: req.query.call, err: e });
+    res.status(500).send("error");
+  }
+});
 
-      return;
+// === Recorded reply when the call fell back to <Say>/<Record> ===
+app.post("/twilio/fallback", requireTwilioSignature, async (req, res) => {
+  try {
+    const twiml = await handleFallbackReply(req.query.call, req.body || {}, req.query.step);
+    res.type("text/xml").send(twiml);
+  } catch (e) {
+    log.error("Fallback callback error", { callId: req.query.call, err: e });
+    res.status(500).send("error");
+  }
+});
+
+// === Answering-machine detection result (async AMD on outbound calls) ===
+app.post("/twilio/amd", requireTwilioSignature, async (req, res) => {
+  try {
+    const callSid = req.body?.CallSid;
+    const answeredBy = req.body?.AnsweredBy || "unknown";
+    log.info("Answering machine detection", { callSid, answeredBy });
+
+    const session = getSession(callSid);
+    if (session) {
+      await applyAmdResult(session, answeredBy);
+    } else if (callSid) {
+      // Media stream not started yet; handleTwilio picks this up on "start"
+      amdResults.set(callSid, answeredBy);
+      setTimeout(() => amdResults.delete(callSid), 60 * 1000).unref();
     }
 
+    res.send("ok");
+  } catch (e) {
+    log.error("AMD callback error", { callSid: req.body?.CallSid, err: e });
+    res.status(500).send("error");
+  }
+});
+
+// === TwiML for Twilio (voice instructions) ===
+app.get("/twiml", requireTwilioSignature, (req, res) => {
+  const prompt = (req.query.prompt || "test").toString();
+  const to = (req.query.to || "").toString();
+  const loopFlag = req.query.loop === "1";
+
+  const host = req.get("host") || process.env.BASE_HOST;
+  const wsUrl = `wss://${host}/twilio/${signStreamToken()}`;
+
+  const xml = buildStreamTwiml(wsUrl, {
+    prompt,
+    loop: loopFlag ? "1" : "0",
+    to: to.replace(/[^\d+]/g, ""),
+  });
+
+  res.set("Content-Type", "text/xml").send(xml);
+});
+
+// === Inbound calls: Twilio "A call comes in" webhook for our number ===
+app.post("/twiml", requireTwilioSignature, (req, res) => {
+  const from = (req.body?.From || "").toString();
+  log.info("Inbound call", { callSid: req.body?.CallSid, from: from || "unknown" });
+
+  const host = req.get("host") || process.env.BASE_HOST;
+  const wsUrl = `wss://${host}/twilio/${signStreamToken()}`;
+
+  const xml = buildStreamTwiml(wsUrl, {
+    mode: "inbound",
+    from: from.replace(/[^\d+]/g, ""),
+  });
+
+  res.set("Content-Type", "text/xml").send(xml);
+});
+
+// === WebSocket bridge (Twilio <-> OpenAI Realtime) ===
+const server = app.listen(process.env.PORT || 10000, () => {
+  const address = server.address();
+  log.info("Server listening", { port: address && address.port });
+});
+
+startScheduler(runScheduledCall);
+
+// Broadcasts interrupted by a restart pick up with whoever is still queued
+for (const batch of unfinishedBroadcasts()) {
+  dialNextRecipients(batch).catch((err) => log.error("Broadcast resume failed", { broadcastId: batch.id, err }));
+}
+
+// Recording retention: once at startup, then every few hours
+function sweepRecordings() {
+  try {
+    for (const id of pruneRecordings()) updateCall(id, { recording: null });
+  } catch (err) {
+    log.error("Recording retention error", { err });
+  }
+}
+sweepRecordings();
+setInterval(sweepRecordings, 6 * 60 * 60 * 1000).unref();
+
+const REALTIME_MODEL = "gpt-4o-mini-realtime-preview";
+const TRANSCRIBE_MODEL = "gpt-4o-mini-transcribe";
+
+const wss = new WebSocketServer({ noServer: true });
+
+server.on("upgrade", (req, socket, head) => {
+  const streamMatch = (req.url || "").match(/^\/twilio\/([^/?]+)/);
+  log.debug("WS upgrade request", { path: streamMatch ? "/twilio/<token>" : req.url });
+
+  if (streamMatch) {
+    // Only streams we issued a token for (in our own TwiML) may connect
+    const rejected = checkStreamToken(streamMatch[1]);
+    if (rejected) {
+      log.warn("Rejected media stream", { ip: req.socket.remoteAddress, reason: rejected });
+      socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleTwilio(ws, req).catch((err) => {
+        log.error("Media stream handler error", { err });
+        try {
+          ws.close();
+        } catch {
+          // ignore
+        }
+      });
+    });
+  } else {
+    socket.destroy();
+  }
+});
+
+async function handleTwilio(ws, req) {
+  let session = null; // created once Twilio sends "start"
+  let echoMode = false; // currently unused, but kept for future behavior
+
+  const DEBOUNCE_MS = 700;
+  const HANGUP_DRAIN_MS = Number(process.env.HANGUP_DRAIN_MS) || 3500; // let the goodbye finish playing
+
+  function ensureOpenAI() {
+    if (session.oai) return;
+
+    if (!process.env.OPENAI_API_KEY) {
+      session.log.error("Missing OPENAI_API_KEY env var");
+      fallBackToRecording(session, "OPENAI_API_KEY is not set").catch((err) =>
+        session.log.error("Fallback error", { err })
+      );
+      return;
+    }
+    connectOpenAI();
+  }
+
+  function connectOpenAI() {
+    const persona = session.persona;
+    const style = languageStyle(session);
+    const oai = new WebSocket(
+      openaiRealtimeUrl(REALTIME_MODEL),
+      "realtime",
+      {
+        headers: {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+          "OpenAI-Beta": "realtime=v1",
+        },
+      }
+    );
+    session.oai = oai;
+    session.oaiReady = false;
+
+    oai.on("open", () => {
+      session.oaiReady = true;
+
+      oai.send(
+        JSON.stringify({
+          type: "session.update",
+          session: {
+            voice: persona.voice,
+            modalities: ["audio", "text"],
+            input_audio_format: "g711_ulaw",
+            output_audio_format: "g711_ulaw",
+            turn_detection: {
+              type: "server_vad",
+              threshold: 0.6,          // you can tune this
+              silence_duration_ms: 300 // how long silence = turn finished
+            },
+            instructions:
+              `You are ${persona.owner}'s professional phone assistant. ` +
+              `When the call connects, greet the caller naturally (for example, 'Hi, this is ${persona.owner}'s personal call assistant'). ` +
+              `Speak in clear ${style.speech} with a ${persona.tone} tone. ` +
+              "Sound conversational and natural, like a real person, but keep replies short (one or two sentences). " +
+              `Be polite and efficient, stay focused on ${persona.owner}'s message, and avoid rambling.`,
+            input_audio_transcription: {
+              model: TRANSCRIBE_MODEL,
+              language: session.language.code,
+            },
+          },
+        })
+      );
+
+      // A replacement socket after a drop: give it the call so far
+      if (session.scriptSent) resumeConversation(session);
+    });
+
+    oai.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+
+      const t = msg.type;
+      const isAudio =
+        t === "response.audio.delta" || t === "response.output_audio.delta";
+
+      // ====== TRACK CURRENT RESPONSE FOR CANCELLATION ======
+      if (t === "response.created") {
+        session.currentResponseId = msg.response?.id || null;
+        session.allowAssistantAudio = true; // new assistant turn -> allow audio
+        session.responseActive = true;
+      }
+
+      if (t === "response.completed" || t === "response.stopped") {
+        session.assistantSpeaking = false; // bot is no longer talking
+        session.currentResponseId = null;  // nothing to cancel anymore
+        // (leave allowAssistantAudio alone; next turn will re-use it)
+      }
+
+      if (t === "response.done") {
+        session.responseActive = false;
+        session.realtimeRetries = 0; // the connection works again
+        addRealtimeUsage(session.usage, REALTIME_MODEL, msg.response?.usage);
+
+        // Voicemail left: hang up once the audio has drained
+        if (session.voicemail) session.hangupRequested = true;
+
+        // A tool answered during that response; let the model speak to the result
+        if (session.toolResponsePending && oai.readyState === WebSocket.OPEN) {
+          session.toolResponsePending = false;
+          session.responseActive = true;
+          oai.send(JSON.stringify({ type: "response.create" }));
+        }
+      }
+
+      // A failed response.create never sends response.done
+      if (t === "error") {
+        session.log.error("OpenAI error event", { error: msg.error });
+        openaiErrors.inc({ kind: "event" });
+        session.responseActive = false;
+      }
+
+      // ====== TOOL CALLS ======
+      if (t === "response.function_call_arguments.done") {
+        handleToolCall(session, msg).catch((err) =>
+          session.log.error("Tool call error", { tool: msg.name, err })
+        );
+      }
+
+      // ====== ASSISTANT TRANSCRIPT ======
+      if (t === "response.audio_transcript.delta" && msg.delta) {
+        session.assistantBuffer += msg.delta;
+
+        if (/[.!?"]$/.test(msg.delta.trim())) {
+          const sentence = session.assistantBuffer.trim();
+
+          addTranscriptEntry(session, "Assistant", sentence);
+
+          setTimeout(() => {
+            postCaption(session, "Assistant", sentence);
+          }, 1500);
+
+          session.assistantBuffer = "";
+        }
+      }
+
+      // ====== CALLER TRANSCRIPT (for logging only) ======
+      if (t === "conversation.item.input_audio_transcription.completed") {
+        addRealtimeUsage(session.usage, TRANSCRIBE_MODEL, msg.usage);
+      }
+
+      if (t === "conversation.item.input_audio_transcription.completed" && msg.transcript) {
+        const callerText = msg.transcript.trim();
+        const words = callerText.split(/\s+/).filter(Boolean);
+
+        if (words.length < 1 || callerText.length < 3) return;
+
+        if (session.callerLastItemId === msg.item_id) return;
+        session.callerLastItemId = msg.item_id;
+
+        addTranscriptEntry(session, "Caller", callerText);
+
+        postCaption(session, "Caller", callerText);
+      }
+
+      // ====== BARGE-IN: user starts talking WHILE bot is speaking ======
+      if (t === "input_audio_buffer.speech_stopped") {
+        session.callerSpeaking = false;
+      }
+
+      if (t === "input_audio_buffer.speech_started") {
+        session.log.debug("Caller started speaking", { assistantSpeaking: session.assistantSpeaking });
+        session.callerSpeaking = true;
+
+        // Only barge in if the bot is talking
+        if (!session.assistantSpeaking) return;
+
+        // Clear any previous timer so we don't stack them
+        if (session.timers.bargeIn) {
+          clearTimeout(session.timers.bargeIn);
+          session.timers.bargeIn = null;
+        }
+
+        // Wait ~150ms to confirm it's *actual* speech, not a click/pop
+        session.timers.bargeIn = setTimeout(() => {
+          session.timers.bargeIn = null;
+          session.log.info("Barge-in");
+          bargeIns.inc();
+          session.bargeInAt = Date.now();
+
+          session.allowAssistantAudio = false;
+          session.assistantSpeaking = false;
+
+          // Stop Twilio playback
+          if (ws.readyState === WebSocket.OPEN && session.streamSid) {
+            ws.send(JSON.stringify({ event: "clear", streamSid: session.streamSid }));
+          }
+          if (session.recorder) truncateAssistant(session.recorder);
+
+          // Stop OpenAI assistant speech
+          if (session.currentResponseId && oai.readyState === WebSocket.OPEN) {
+            oai.send(
+              JSON.stringify({
+                type: "response.cancel",
+                response_id: session.currentResponseId,
+              })
+            );
+          }
+        }, 150); // <<< tweak this: 100 = more sensitive, 200 = less
+      }
+
+      // ====== FORWARD ASSISTANT AUDIO TO TWILIO (gated) ======
+      if (isAudio && msg.delta && session.streamSid && session.allowAssistantAudio) {
+        session.assistantSpeaking = true; // bot is actively talking
+        session.lastAudioOutTime = Date.now(); // track last chunk sent to Twilio
+        if (!session.firstAudioAt) {
+          session.firstAudioAt = session.lastAudioOutTime;
+          firstAudioSeconds.observe((session.firstAudioAt - session.startedAt) / 1000, { direction: session.direction });
+        }
+        if (session.recorder) recordAssistant(session.recorder, msg.delta);
+
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(
+            JSON.stringify({
+              event: "media",
+              streamSid: session.streamSid,
+              media: { payload: msg.delta },
+            })
+          );
+        }
+      }
+    });
+
+    oai.on("error", (err) => {
+      session.log.error("OpenAI socket error", { err });
+      openaiErrors.inc({ kind: "socket" });
+    });
+    oai.on("close", (code) => {
+      session.log.info("OpenAI socket closed", { code });
+      if (session.oai !== oai) return;
+      session.oaiReady = false;
+
+      // Closed on purpose, or nothing left for the assistant to say
+      if (session.ending || session.fallback || session.hangupRequested || session.transfer) return;
+      openaiErrors.inc({ kind: "dropped" });
+      reconnectOpenAI();
+    });
+  }
+
+  // Backoff doubles from REALTIME_RETRY_BASE_MS (default 500); after
+  // REALTIME_RETRIES (default 4) failed tries the call falls back to <Say>/<Record>
+  function reconnectOpenAI() {
+    const retries = Number(process.env.REALTIME_RETRIES ?? 4);
+    if (session.voicemail || session.realtimeRetries >= retries) {
+      const reason = session.voicemail
+        ? "the connection dropped during the voicemail"
+        : `could not reconnect after ${session.realtimeRetries} tries`;
+      fallBackToRecording(session, reason).catch((err) => session.log.error("Fallback error", { err }));
+      return;
+    }
+
+    const delayMs = (Number(process.env.REALTIME_RETRY_BASE_MS) || 500) * 2 ** session.realtimeRetries++;
+    session.log.warn("Reconnecting to OpenAI", { attempt: session.realtimeRetries, delayMs });
+    session.timers.realtimeRetry = setTimeout(() => {
+      session.timers.realtimeRetry = null;
+      if (!session.ending && !session.fallback) connectOpenAI();
+    }, delayMs);
+  }
+
+  ws.on("message", async (buf) => {
+    let msg;
+    try {
+      msg = JSON.parse(buf.toString());
+    } catch {
+      return;
+    }
+
+    if (msg.event === "connected") return;
+
+    if (msg.event === "start" && !session) {
+      const cp = msg.start?.customParameters || {};
+
+      session = createSession({
+        callSid: msg.start?.callSid || null,
+        streamSid: msg.start?.streamSid || null,
+        ws,
+        direction: cp.mode === "inbound" ? "inbound" : "outbound",
+        number: (cp.mode === "inbound" ? cp.from : cp.to) || null,
+      });
+      session.contactName = cp.name || findContactByPhone(session.number)?.name || null;
+      session.amd = cp.amd === "1";
+      session.recorder = recordingEnabled() ? createRecorder() : null;
+      session.persona = getPersona(cp.persona);
+      session.language =
+        findLanguage(cp.language) ||
+        languageForNumber(session.number) ||
+        findLanguage(session.persona.language) ||
+        findLanguage("en");
+      if (typeof cp.prompt === "string" && cp.prompt.trim()) {
+        session.prompt = cp.prompt.trim();
+      }
+      if (cp.goal === "questions") session.questions = splitQuestions(session.prompt);
+
+      const record =
+        getCall(session.callSid) ||
+        recordCall({
+          callSid: session.callSid,
+          direction: session.direction,
+          number: session.number,
+          contactName: session.contactName,
+          prompt: session.direction === "outbound" ? session.prompt : null,
+          persona: session.persona.id,
+          language: session.language.code,
+        });
+      session.historyId = record.id;
+      session.channel = record.channel || defaultChannel();
+      session.requester = record.requester || null;
+      session.broadcastId = record.broadcastId || null;
+      updateCall(record.id, { status: "in-progress", language: session.language.code });
+
+      echoMode = cp.loop === "1";
+      session.log.info("Media stream started", {
+        direction: session.direction,
+        number: session.number,
+        callId: session.historyId,
+        persona: session.persona.id,
+        language: session.language.code,
+      });
+
+      if (session.direction === "inbound") {
+        await postToChannel(session.channel, `[${session.label}] 📞 Incoming call from ${describeParty(session)}`);
+      } else {
+        await postCallUpdate(session, `[${session.label}] Call connected to ${describeParty(session)}`);
+      }
+
+      // The persona's wording is written in its own language; translate the
+      // message and greeting while the Realtime socket connects
+      if (session.language.code !== session.persona.language) {
+        session.translating = true;
+        translateScript(session)
+          .then((translated) => {
+            session.translated = translated;
+          })
+          .catch((err) => session.log.error("Translation error", { err }))
+          .finally(() => {
+            session.translating = false;
+          });
+      }
+
+      ensureOpenAI();
+
+      // Start watcher that hangs up (end_call) or transfers (transfer_to_owner)
+      // only once the assistant's last words have finished playing
+      if (!session.timers.hangupCheck) {
+        session.timers.hangupCheck = setInterval(() => {
+          if (!session.callSid || !(session.hangupRequested || session.transfer)) return;
+          if (session.responseActive) return;
+
+          const msSinceLastAudio = Date.now() - (session.lastAudioOutTime || 0);
+          if (msSinceLastAudio <= HANGUP_DRAIN_MS) return;
+
+          clearInterval(session.timers.hangupCheck);
+          session.timers.hangupCheck = null;
+
+          if (session.transfer) {
+            session.log.info("Transferring; audio fully delivered", { to: session.transfer.to });
+            transferToOwner(session).catch((err) => session.log.error("Error transferring call", { err }));
+            return;
+          }
+
+          session.log.info("Hanging up; audio fully delivered");
+          hangUpAfterGoodbye(session).catch((err) => session.log.error("Error ending Twilio call", { err }));
+        }, 300); // check ~3x per second
+      }
+
+      // Detection can finish before the stream starts
+      const earlyAmd = takeAmdResult(session.callSid);
+      if (earlyAmd) {
+        applyAmdResult(session, earlyAmd).catch((err) => session.log.error("AMD result error", { err }));
+      }
+      if (session.voicemail || session.answeredBy === "fax") return;
+
+      session.timers.intro = setInterval(() => {
+        const oai = session.oai;
+        if (!session.oaiReady || !oai || oai.readyState !== WebSocket.OPEN) return;
+
+        // Don't greet an answering machine: give detection a moment first
+        if (awaitingAmd(session) || session.translating) return;
+
+        clearInterval(session.timers.intro);
+        session.timers.intro = null;
+        session.scriptSent = true;
+
+        const { baseInstructions, callGoal, openingLine } = buildCallScript(session);
+
+        // 1️⃣ Update session so GPT knows what this call is about AND what to say first
+        oai.send(
+          JSON.stringify({
+            type: "session.update",
+            session: {
+              instructions:
+                `${baseInstructions}\n\n` +
+                `${callGoal}\n\n` +
+                `Your VERY FIRST utterance on this call must be exactly this sentence, word for word, and nothing else. After you say it, stop talking and wait for the other person to respond:\n` +
+                `"${openingLine}"`,
+              tools: callTools(session),
+              tool_choice: "auto",
+            },
+          })
+        );
+
+        // 2️⃣ Ask the model to produce that first response (audio + text)
+        oai.send(
+          JSON.stringify({
+            type: "response.create",
+            response: {
+              modalities: ["audio", "text"],
+              output_audio_transcription: { enable: true },
+            },
+          })
+        );
+      }, 50);
+
+      return;
+    }
+
+    if (!session) return;
+
+    if (msg.event === "media" && session.streamSid) {
+      if (session.recorder) recordCaller(session.recorder, msg.media.payload, msg.media.timestamp);
+
+      // While detection runs (or a voicemail is being left) the other side is
+      // probably a recorded greeting, so keep it away from the model's VAD
+      if (awaitingAmd(session) || session.voicemail) return;
+
+      const oai = session.oai;
+      if (oai && session.oaiReady && oai.readyState === WebSocket.OPEN) {
+        // Append audio to OpenAI input buffer
+        oai.send(
+          JSON.stringify({
+            type: "input_audio_buffer.append",
+            audio: msg.media.payload,
+          })
+        );
+        session.hasBufferedAudio = true;
+
+        // Debounce commits
+        if (session.timers.commit) clearTimeout(session.timers.commit);
+        session.timers.commit = setTimeout(() => {
+          session.timers.commit = null;
+          try {
+            if (session.hasBufferedAudio) {
+              oai.send(
+                JSON.stringify({
+                  type: "input_audio_buffer.commit"
+                })
+              );
+              session.hasBufferedAudio = false;
+            }
+            // NO response.create
+            // NO ws.send
+          } catch (err) {
+            session.log.error("Audio commit error", { err });
+          }
+        }, DEBOUNCE_MS);
+      }
+      return;
+    }
+
+    if (msg.event === "stop") {
+      session.log.info("Media stream stopped");
+      session.ending = true;
+      session.stopped = true;
+
+      if (session.oai && session.oai.readyState === WebSocket.OPEN) {
+        try {
+          session.oai.close();
+        } catch {
+          // ignore
+        }
+      }
+
+      finishingCalls.add(session.callSid);
+      try {
+        await flushCaptions(session);
+        await finishCall(session);
+      } finally {
+        finishingCalls.delete(session.callSid);
+      }
+
+      try {
+        ws.close();
+      } catch {
+        // ignore
+      }
+
+      return;
+    }
+  });
+
+  ws.on("error", (err) => (session?.log || log).error("Twilio socket error", { err }));
+
+  ws.on("close", () => {
+    if (!session) return;
+    session.ending = true;
+
+    if (session.oai && session.oai.readyState === WebSocket.OPEN) {
+      try {
+        session.oai.close();
+      } catch {
+        // ignore
+      }
+    }
+    endSession(session);
+
+    // Closed without "stop", so finishCall won't report this broadcast call.
+    // If Twilio's final status is already in, report it now; if not,
+    // handleCallStatus will once it arrives.
+    const record = !session.stopped && session.broadcastId && getCall(session.historyId);
+    if (record && record.status !== "in-progress") {
+      broadcastCallEnded(record).catch((err) => session.log.error("Broadcast update failed", { err }));
+    }
+  });
+}
+
+// === Call scripts (what the assistant is trying to do on this call) ===
+function buildCallScript(session) {
+  const persona = session.persona;
+  const owner = persona.owner;
+  const style = languageStyle(session);
+  const goodbyes = style.goodbyePhrases.map((p) => `'${p}'`).join(", ");
+  const message = session.translated?.message || session.prompt;
+
+  const baseInstructions =
+    `You are ${owner}'s professional phone assistant. ` +
+    `When the call connects, greet the caller naturally, for example: 'Hi, this is ${owner}'s personal call assistant.' ` +
+    `Speak in clear ${style.speech} with a ${persona.tone} tone. ` +
+    "Sound conversational and natural, but keep replies short (one or two sentences). " +
+    `Be polite and efficient and stay focused on helping with ${owner}'s message. ` +
+    "If asked directly whether you are an AI, answer honestly but briefly and redirect back to helping. " +
+    `When the conversation is finished, say a brief goodbye (for example ${goodbyes}) and then call end_call. ` +
+    "Only call end_call when the conversation is really over, not when someone merely mentions talking later. " +
+    `When they have a message for ${owner}, call record_reply_message once they confirm it. ` +
+    (ownerPhone(session) ? `If they ask to speak with ${owner} directly, call transfer_to_owner. ` : "") +
+    (calendarFile(session)
+      ? `If they ask when ${owner} is free, use check_availability. Today is ${formatWhen(new Date())}. `
+      : "");
+
+  const name = session.contactName;
+
+  const callGoal =
+    (name ? `You are calling ${name}. Address them by name where it sounds natural. ` : "") +
+    (session.questions
+      ? fillTemplate(persona.questionGoal, { persona, name, questions: session.questions })
+      : fillTemplate(persona.callGoal, { persona, name, message }));
+
+  const openingLine = session.translated?.opening || openingTemplate(session);
+
+  if (session.direction === "inbound") {
+    const callerId = session.number
+      ? `Caller ID shows ${session.number}; ask whether that is the best number to call them back on. `
+      : "";
+    const knownCaller = name
+      ? `${owner}'s address book lists this number as ${name}; confirm their name rather than asking for it cold. `
+      : "";
+
+    return {
+      baseInstructions,
+      callGoal:
+        `This is an incoming call to ${owner}'s phone and ${owner} is not available, so your job is to take a message. ` +
+        "Collect three things: the caller's name, the best callback number, and the reason for the call. " +
+        callerId +
+        knownCaller +
+        "If they give a number, repeat it back digit by digit to confirm it. " +
+        "Once you have everything, briefly read the message back and ask if you got it right. " +
+        `Then confirm that you will pass the message along to ${owner}. ` +
+        `Do not promise when ${owner} will call back.`,
+      openingLine,
+    };
+  }
+
+  return { baseInstructions, callGoal, openingLine };
+}
+
+function openingTemplate(session) {
+  const { persona, contactName: name } = session;
+  const greeting =
+    session.direction === "inbound"
+      ? persona.inboundGreeting
+      : session.questions
+        ? persona.questionGreeting
+        : persona.greeting;
+  return fillTemplate(greeting, { persona, name });
+}
+
+// === Call language ===
+// The persona's own wording when the call is in its language, otherwise the
+// language's defaults
+function languageStyle(session) {
+  const { persona, language } = session;
+  if (language.code === persona.language) {
+    return { speech: persona.languageName, goodbyePhrases: persona.goodbyePhrases };
+  }
+  return language;
+}
+
+async function translateScript(session) {
+  const result = await chatCompletionJson([
+    {
+      role: "system",
+      content:
+        `Translate phone-call text into natural, polite ${session.language.speech}. ` +
+        'Reply with a JSON object with the keys "message" and "opening". Keep names and numbers as they are.',
+    },
+    {
+      role: "user",
+      content: JSON.stringify({ message: session.prompt || "", opening: openingTemplate(session) }),
+    },
+  ], { usage: session.usage });
+
+  if (!result?.opening) throw new Error("Translation reply was not usable");
+  return { message: result.message || session.prompt, opening: result.opening };
+}
+
+// Adds an English rendering to each transcript entry, in place
+async function translateTranscript(entries, usage) {
+  const result = await chatCompletionJson([
+    {
+      role: "system",
+      content:
+        "Translate each line of this phone-call transcript into English. " +
+        'Reply with a JSON object {"lines": [...]} with exactly one English string per input line, in order.',
+    },
+    { role: "user", content: JSON.stringify(entries.map((e) => e.text)) },
+  ], { usage });
+
+  const lines = Array.isArray(result?.lines) ? result.lines : [];
+  entries.forEach((e, i) => {
+    if (typeof lines[i] === "string") e.english = lines[i];
+  });
+}
+
+// === Realtime tools ===
+function callTools(session) {
+  return realtimeTools({
+    questionCount: session.questions?.length || 0,
+    owner: session.persona.owner,
+    canTransfer: Boolean(ownerPhone(session)),
+    hasCalendar: Boolean(calendarFile(session)),
+  });
+}
+
+function ownerPhone(session) {
+  return normalizePhone(session.persona.phone || process.env.OWNER_PHONE || "");
+}
+
+function calendarFile(session) {
+  return session.persona.calendar || process.env.CALENDAR_ICS || null;
+}
+
+async function handleToolCall(session, { name, call_id: callId, arguments: rawArgs }) {
+  let args = {};
+  try {
+    args = JSON.parse(rawArgs || "{}");
+  } catch {
+    // ignore: treat as no arguments
+  }
+  session.log.info("Tool call", { tool: name, args });
+
+  const tag = `[${session.label}]`;
+  let output;
+  let speak = true; // whether the model should respond to the result
+  let transferring = false;
+
+  if (name === "end_call") {
+    session.hangupRequested = true;
+    speak = false;
+    output = { ok: true };
+  } else if (name === "record_reply_message" && args.message) {
+    session.replyMessage = {
+      message: String(args.message),
+      callbackRequested: args.callback_requested === true,
+      callbackWhen: args.callback_when || null,
+    };
+    const callback = session.replyMessage.callbackRequested
+      ? `\n📞 Wants a callback${args.callback_when ? `: ${args.callback_when}` : ""}`
+      : "";
+    await postCallUpdate(
+      session,
+      `${tag} ✉️ Reply for ${session.persona.owner} from ${describeParty(session)}: "${args.message}"${callback}`
+    );
+    output = { ok: true };
+  } else if (name === "record_answer" && session.questions) {
+    const number = Number(args.question_number);
+    const question = session.questions[number - 1];
+    const answer = typeof args.answer === "string" ? args.answer.trim() : "";
+
+    if (!question || !answer) {
+      output = { error: `Give a question_number from 1 to ${session.questions.length} and the answer.` };
+    } else {
+      session.answers[number - 1] = answer;
+      await postCallUpdate(session, `${tag} ✅ ${number}. ${question} → ${answer}`);
+      output = {
+        ok: true,
+        unanswered: session.questions.map((_, i) => i + 1).filter((n) => !session.answers[n - 1]),
+      };
+    }
+  } else if (name === "transfer_to_owner" && ownerPhone(session)) {
+    const error = requestTransfer(session, { by: "assistant", reason: args.reason });
+    output = error ? { error } : { ok: true, instructions: handoffInstructions(session) };
+    transferring = !error;
+  } else if (name === "check_availability" && calendarFile(session)) {
+    try {
+      output = checkAvailability(calendarFile(session), {
+        date: args.date,
+        time: args.time,
+        durationMinutes: args.duration_minutes,
+      });
+    } catch (err) {
+      session.log.error("Calendar error", { err });
+      output = { error: "The calendar is not available right now." };
+    }
+  } else {
+    output = { error: `Unknown or unavailable tool: ${name}` };
+  }
+
+  const oai = session.oai;
+  if (oai && oai.readyState === WebSocket.OPEN) {
+    oai.send(
+      JSON.stringify({
+        type: "conversation.item.create",
+        item: { type: "function_call_output", call_id: callId, output: JSON.stringify(output) },
+      })
+    );
+    if (speak) respondWhenIdle(session);
+  }
+  if (transferring) await announceTransfer(session);
+}
+
+// Ask the model for a response now, or right after the one in progress
+function respondWhenIdle(session) {
+  if (session.responseActive) {
+    session.toolResponsePending = true;
+  } else {
+    session.responseActive = true;
+    session.oai.send(JSON.stringify({ type: "response.create" }));
+  }
+}
+
+// === Transfers ===
+// The assistant (transfer_to_owner) or the requester ("join") hands the call
+// to the owner. The assistant says one line first; once it has played, the
+// hangup watcher redirects the live call. That line is asked for before
+// anything slow (the chat post), or the watcher could redirect first.
+//   TRANSFER_MODE=dial        <Dial> the owner from the call (default)
+//   TRANSFER_MODE=conference  hold the other party in a conference and call the owner into it
+const TRANSFER_MODE = process.env.TRANSFER_MODE === "conference" ? "conference" : "dial";
+const TRANSFER_RING_SECONDS = Number(process.env.TRANSFER_RING_SECONDS) || 25;
+
+function handoffInstructions(session) {
+  return `In one short sentence, tell them you are connecting them to ${session.persona.owner} now. Then stop talking.`;
+}
+
+// Returns an error message, or null once the handoff is under way
+function requestTransfer(session, { by, reason = null }) {
+  const owner = session.persona.owner;
+  const to = ownerPhone(session);
+  if (!to) return `No phone number is set for ${owner}.`;
+  if (session.transfer) return "The call is already being transferred.";
+  if (session.voicemail) return "The call reached voicemail.";
+
+  session.transfer = { to, by, reason, mode: TRANSFER_MODE };
+  addTranscriptEntry(session, "System", `Transferring to ${owner} (${to})${reason ? `: ${reason}` : ""}`);
+  if (session.historyId) {
+    updateCall(session.historyId, { transfer: { ...session.transfer, status: "requested" } });
+  }
+  return null;
+}
+
+async function announceTransfer(session) {
+  const { to, by, reason } = session.transfer;
+  const owner = session.persona.owner;
+  const who = by === "assistant" ? `${describeParty(session)} asked to talk to ${owner}` : `${owner} is joining`;
+  await postToChannel(
+    session.channel,
+    `[${session.label}] 🔀 ${who}${reason ? ` (${reason})` : ""}; transferring to ${to}.`
+  );
+}
+
+// "join" from chat: have the assistant introduce the handoff, then transfer
+async function joinCall(session) {
+  const error = requestTransfer(session, { by: "chat" });
+  if (error) return error;
+
+  if (sendSystemNote(session, `${session.persona.owner} is joining the call. ${handoffInstructions(session)}`)) {
+    respondWhenIdle(session);
+  }
+  await announceTransfer(session);
+  return null;
+}
+
+// The media stream (and so this session) ends when Twilio runs the new TwiML
+async function transferToOwner(session) {
+  const { to, mode } = session.transfer;
+  const statusUrl = `https://${publicHost()}/twilio/transfer?call=${session.historyId}`;
+  let ok;
+
+  if (mode === "conference") {
+    const room = `relay-${session.callSid}`;
+    ok = await redirectTwilioCall(
+      session.callSid,
+      `<?xml version="1.0" encoding="UTF-8"?>` +
+        `<Response><Dial><Conference startConferenceOnEnter="false" endConferenceOnExit="true">${room}</Conference></Dial></Response>`
+    );
+
+    if (ok) {
+      const ownerCall = await createTwilioCall({
+        To: to,
+        From: process.env.TWILIO_FROM_NUMBER,
+        Twiml:
+          `<?xml version="1.0" encoding="UTF-8"?>` +
+          `<Response><Say>Connecting you to ${escapeXmlAttr(describeParty(session))}.</Say>` +
+          `<Dial><Conference startConferenceOnEnter="true" endConferenceOnExit="true">${room}</Conference></Dial></Response>`,
+        Timeout: String(TRANSFER_RING_SECONDS),
+        StatusCallback: `${statusUrl}&leg=owner`,
+      });
+      if (!ownerCall.ok) {
+        session.log.error("Twilio owner call failed", { status: ownerCall.status, body: await ownerCall.text() });
+        await redirectTwilioCall(session.callSid, ownerUnreachableTwiml(session.persona));
+        ok = false;
+      }
+    }
+  } else {
+    ok = await redirectTwilioCall(
+      session.callSid,
+      `<?xml version="1.0" encoding="UTF-8"?>` +
+        `<Response><Dial action="${escapeXmlAttr(statusUrl)}" timeout="${TRANSFER_RING_SECONDS}">${escapeXmlAttr(to)}</Dial></Response>`
+    );
+  }
+
+  if (!ok) {
+    await postToChannel(session.channel, `[${session.label}] 🔀 Transfer to ${session.persona.owner} failed.`);
+    if (session.historyId) updateCall(session.historyId, { transfer: { ...session.transfer, status: "failed" } });
+  }
+}
+
+function ownerUnreachableTwiml(persona) {
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<Response><Say>Sorry, ${escapeXmlAttr(persona.owner)} could not be reached right now. ` +
+    `I will let ${escapeXmlAttr(persona.owner)} know you called. Goodbye.</Say><Hangup/></Response>`
+  );
+}
+
+// Dial action (DialCallStatus) or, in conference mode, the owner leg's
+// status callback (CallStatus). Returns the TwiML to answer a Dial action with.
+async function handleTransferStatus(callId, body, leg) {
+  const record = getCall(callId);
+  if (!record) return "<Response><Hangup/></Response>";
+
+  const persona = getPersona(record.persona);
+  const status = body.DialCallStatus || body.CallStatus || "unknown";
+  const durationSec = Number(body.DialCallDuration || body.CallDuration) || null;
+  const connected = status === "completed" || status === "answered";
+
+  const text = connected
+    ? `Transfer to ${persona.owner}: connected${durationSec ? ` for ${formatDuration(durationSec)}` : ""}`
+    : `Transfer to ${persona.owner}: not connected (${status})`;
+
+  updateCall(record.id, {
+    transfer: { ...record.transfer, status, durationSec },
+    transcriptEntries: [
+      ...(record.transcriptEntries || []),
+      { speaker: "System", text, time: Date.now(), seq: (record.transcriptEntries || []).length },
+    ],
+  });
+  await postToChannel(record.channel || defaultChannel(), `🔀 Call ${record.id}: ${text}.`);
+  if (durationSec) await recordUsage(record.id, twilioUsage(durationSec));
+
+  // Conference mode: the other party is still on hold
+  if (!connected && leg === "owner" && record.callSid) {
+    await redirectTwilioCall(record.callSid, ownerUnreachableTwiml(persona));
+  }
+
+  return connected ? "<Response><Hangup/></Response>" : ownerUnreachableTwiml(persona);
+}
+
+// === Live steering from chat ===
+// While a call is live, whoever is watching the captions can feed the
+// assistant lines to relay, questions to ask, or tell it to wrap up.
+
+const STEER_ACKS = {
+  say: "🗣️ Will pass that on.",
+  ask: "❓ Will ask.",
+  wrapup: "👋 Wrapping up.",
+  hangup: "📴 Hanging up.",
+};
+
+// A call named in the command ("#2"), else the only live call started from
+// this channel, else the only live call at all
+function pickLiveCall(ref, channel) {
+  if (ref) {
+    const session = getSession(ref);
+    return session ? { session } : { error: `No active call ${ref}.` };
+  }
+
+  const active = listSessions();
+  const here = active.filter((s) => s.channel?.adapter === channel?.adapter && s.channel?.id === channel?.id);
+  if (here.length === 1) return { session: here[0] };
+  if (!here.length && active.length === 1) return { session: active[0] };
+  if (!active.length) return { error: "No active calls." };
+
+  const choices = (here.length ? here : active).map((s) => `${s.label} ${describeParty(s)}`);
+  return { error: `Which call? ${choices.join(", ")}` };
+}
+
+// Out-of-band instruction to the model; false when the socket is gone
+function sendSystemNote(session, text) {
+  const oai = session.oai;
+  if (!oai || oai.readyState !== WebSocket.OPEN) return false;
+
+  oai.send(
+    JSON.stringify({
+      type: "conversation.item.create",
+      item: { type: "message", role: "system", content: [{ type: "input_text", text }] },
+    })
+  );
+  return true;
+}
+
+// Returns an error message, or null when the assistant has its instructions
+async function steerCall(session, action, text) {
+  const owner = session.persona.owner;
+
+  if (action === "hangup") {
+    try {
+      await endTwilioCall(session.callSid);
+    } catch (err) {
+      session.log.error("Hang-up from chat failed", { err });
+      return `⚠️ Twilio could not end the call: ${err.message}`;
+    }
+    addTranscriptEntry(session, "System", "Hung up from chat");
+    return null;
+  }
+
+  if (session.voicemail) return "The call reached voicemail.";
+  if (session.transfer) return "The call is being transferred.";
+  if (session.hangupRequested) return "The call is already ending.";
+
+  const notes = {
+    say: `${owner} sent this for you to pass on, in your own words, at your next turn: "${text}"`,
+    ask: `${owner} wants you to ask them this at your next turn, then listen to the answer: "${text}"`,
+    wrapup: `${owner} needs you to wrap up now. Politely say you have to go, say a brief goodbye and then call end_call.`,
+  };
+  if (!sendSystemNote(session, notes[action])) return "The assistant isn't connected yet.";
+
+  addTranscriptEntry(
+    session,
+    "System",
+    action === "wrapup" ? "Asked from chat to wrap up" : `From chat (${action}): ${text}`
+  );
+
+  // Mid-sentence from the caller: server VAD answers when they stop, and
+  // that response sees the note
+  if (!session.callerSpeaking) respondWhenIdle(session);
+  return null;
+}
+
+// === Realtime reconnects and the <Say>/<Record> fallback ===
+const fallbacks = counter("relaybot_realtime_fallbacks_total", "Calls switched to <Say>/<Record> without the assistant");
+
+// A new socket starts blank: send the call script again, replay what was
+// said so far, and let the assistant carry on where it stopped
+function resumeConversation(session) {
+  const oai = session.oai;
+  const { baseInstructions, callGoal } = buildCallScript(session);
+
+  oai.send(
+    JSON.stringify({
+      type: "session.update",
+      session: { instructions: `${baseInstructions}\n\n${callGoal}`, tools: callTools(session), tool_choice: "auto" },
+    })
+  );
+  for (const entry of session.transcriptEntries) {
+    const role = entry.speaker === "Caller" ? "user" : entry.speaker === "Assistant" ? "assistant" : "system";
+    oai.send(
+      JSON.stringify({
+        type: "conversation.item.create",
+        item: {
+          type: "message",
+          role,
+          content: [{ type: role === "assistant" ? "text" : "input_text", text: entry.text }],
+        },
+      })
+    );
+  }
+  sendSystemNote(
+    session,
+    "The phone line to you dropped for a few seconds and is back. Say sorry for the interruption in a few words " +
+      "and carry on from where the conversation left off. Do not greet them again."
+  );
+
+  // Whatever the old socket was saying is gone
+  session.currentResponseId = null;
+  session.assistantSpeaking = false;
+  session.assistantBuffer = "";
+  session.responseActive = false;
+  respondWhenIdle(session);
+  session.log.info("Resumed the conversation on a new OpenAI socket", { replayed: session.transcriptEntries.length });
+}
+
+// Realtime is unavailable: Twilio reads the message (or questions) out and
+// records the reply, which /twilio/fallback posts to chat
+async function fallBackToRecording(session, reason) {
+  if (session.fallback || !session.callSid) return;
+  session.fallback = { reason, at: new Date().toISOString() };
+  session.log.warn("Falling back to <Say>/<Record>", { reason });
+  fallbacks.inc();
+
+  if (session.timers.intro) clearInterval(session.timers.intro);
+  session.timers.intro = null;
+  try {
+    session.oai?.close();
+  } catch {
+    // ignore
+  }
+
+  const ok = await redirectTwilioCall(session.callSid, fallbackTwiml(session));
+  if (session.historyId) updateCall(session.historyId, { fallback: { ...session.fallback, redirected: ok } });
+
+  const then = !ok
+    ? "switching to a recorded message failed too."
+    : session.voicemail
+      ? "the message is being read out to the voicemail instead."
+      : session.direction === "inbound"
+        ? "the caller can leave a recorded message."
+        : `the message is being read out to ${describeParty(session)}, who can record a reply.`;
+  await postToChannel(session.channel, `[${session.label}] ⚠️ The voice assistant is unavailable (${reason}); ${then}`);
+}
+
+function fallbackTwiml(session) {
+  const { owner } = session.persona;
+  const action = `https://${publicHost()}/twilio/fallback?call=${session.historyId}`;
+  const message = session.questions
+    ? `${owner} has a few questions for you. ${session.questions.map((q, i) => `${i + 1}: ${q}`).join(" ")}`
+    : `${owner} asked me to tell you: ${session.prompt}.`;
+
+  let say;
+  if (session.direction === "inbound") {
+    say = `Hi, you've reached ${owner}'s phone. Please leave a message after the tone.`;
+  } else if (session.voicemail) {
+    say = `Hi, this is ${owner}'s assistant. ${message} Goodbye.`;
+  } else {
+    say =
+      `Hi, this is ${owner}'s assistant. ${message} ` +
+      (session.questions ? "Please leave your answers after the tone." : "To reply, leave a message after the tone.");
+  }
+
+  const record = session.voicemail
+    ? ""
+    : `<Record action="${escapeXmlAttr(action)}" maxLength="120" playBeep="true" ` +
+      `transcribe="true" transcribeCallback="${escapeXmlAttr(`${action}&step=transcript`)}"/>` +
+      `<Say>Goodbye.</Say>`;
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<Response><Say>${escapeXmlAttr(say)}</Say>${record}<Hangup/></Response>`
+  );
+}
+
+// Record action (RecordingUrl) or, with step=transcript, Twilio's
+// transcription of it. Returns the TwiML to answer the Record action with.
+async function handleFallbackReply(callId, body, step) {
+  const record = getCall(callId);
+  if (!record) return "<Response><Hangup/></Response>";
+
+  const who = record.contactName ? `${record.contactName} (${record.number})` : record.number || "the caller";
+  const channel = record.channel || defaultChannel();
+
+  if (step === "transcript") {
+    const text = body.TranscriptionStatus === "completed" ? (body.TranscriptionText || "").trim() : "";
+    updateCall(record.id, { fallback: { ...record.fallback, transcript: text || null } });
+    if (text) await postToChannel(channel, `✉️ Call ${record.id}: recorded reply from ${who}: "${text}"`);
+    return "<Response/>";
+  }
+
+  const durationSec = Number(body.RecordingDuration) || 0;
+  updateCall(record.id, {
+    fallback: { ...record.fallback, recordingUrl: body.RecordingUrl || null, recordingSec: durationSec },
+  });
+  await postToChannel(
+    channel,
+    `🎙️ Call ${record.id}: ${who} left a recorded reply (${formatDuration(durationSec)}): ${body.RecordingUrl}`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?><Response><Say>Thank you. Goodbye.</Say><Hangup/></Response>`;
+}
+
+// === Answering machines and voicemail drop ===
+const AMD_WAIT_MS = Number(process.env.AMD_WAIT_MS) || 4000;
+const amdResults = new Map(); // callSid -> AnsweredBy that arrived before the stream
+
+function takeAmdResult(callSid) {
+  const result = amdResults.get(callSid) || null;
+  amdResults.delete(callSid);
+  return result;
+}
+
+function isMachine(answeredBy) {
+  return /^machine_/.test(answeredBy || "");
+}
+
+// True while we are still waiting to hear whether a person picked up
+function awaitingAmd(session) {
+  return session.amd && !session.answeredBy && Date.now() - session.startedAt < AMD_WAIT_MS;
+}
+
+async function applyAmdResult(session, answeredBy) {
+  session.answeredBy = answeredBy;
+
+  if (answeredBy === "fax") {
+    const party = describeParty(session);
+    try {
+      await endTwilioCall(session.callSid);
+    } catch (err) {
+      session.log.error("Could not hang up on a fax", { err });
+      await postCallUpdate(session, `[${session.label}] 📠 ${party} answered with a fax tone; Twilio could not hang up (${err.message}).`);
+      return;
+    }
+    await postCallUpdate(session, `[${session.label}] 📠 ${party} answered with a fax tone; hung up.`);
+  } else if (isMachine(answeredBy)) {
+    leaveVoicemail(session);
+  }
+}
+
+// The beep has played: cancel anything said to the greeting, say a short
+// version of the message, and let the hangup watcher end the call afterwards.
+function leaveVoicemail(session) {
+  if (session.voicemail) return;
+  session.voicemail = true;
+  session.log.info("Answering machine detected; leaving voicemail");
+
+  if (session.timers.intro) clearInterval(session.timers.intro);
+
+  session.timers.intro = setInterval(() => {
+    const oai = session.oai;
+    if (!session.oaiReady || !oai || oai.readyState !== WebSocket.OPEN || session.translating) return;
+
+    clearInterval(session.timers.intro);
+    session.timers.intro = null;
+
+    if (session.currentResponseId) {
+      oai.send(JSON.stringify({ type: "response.cancel", response_id: session.currentResponseId }));
+    }
+    if (session.ws.readyState === WebSocket.OPEN && session.streamSid) {
+      session.ws.send(JSON.stringify({ event: "clear", streamSid: session.streamSid }));
+    }
+    if (session.recorder) truncateAssistant(session.recorder);
+    oai.send(JSON.stringify({ type: "input_audio_buffer.clear" }));
+    session.allowAssistantAudio = true;
+
+    oai.send(
+      JSON.stringify({
+        type: "session.update",
+        session: {
+          turn_detection: null, // nobody will answer back
+          instructions: buildVoicemailInstructions(session),
+          tools: [],
+        },
+      })
+    );
+    oai.send(
+      JSON.stringify({
+        type: "response.create",
+        response: {
+          modalities: ["audio", "text"],
+          output_audio_transcription: { enable: true },
+        },
+      })
+    );
+  }, 50);
+}
+
+function buildVoicemailInstructions(session) {
+  const name = session.contactName;
+  const { owner } = session.persona;
+  const { speech, goodbyePhrases } = languageStyle(session);
+  const goodbye = goodbyePhrases[0].charAt(0).toUpperCase() + goodbyePhrases[0].slice(1);
+
+  return (
+    `You are ${owner}'s professional phone assistant and you have reached a voicemail box. The beep has already played. ` +
+    `Leave one short voicemail of about 15 to 20 seconds in clear ${speech}, then stop talking. ` +
+    (name ? `Start by saying the message is for ${name}. ` : "") +
+    `Say that you are ${owner}'s personal call assistant, ` +
+    (session.questions
+      ? `then say ${owner} has a few questions for them: "${session.translated?.message || session.prompt}", ` +
+        `and ask them to call ${owner} back with the answers. `
+      : `then clearly relay this message from ${owner} once: "${session.translated?.message || session.prompt}". `) +
+    `Do not wait for a reply. End with "${goodbye}."`
+  );
+}
+
+// === End of call: transcript, summary and history record ===
+const finishingCalls = new Set(); // callSids whose stream stopped and finishCall is still running
+
+async function finishCall(session) {
+  // Sort events by time, fallback to seq for same-ms cases
+  session.transcriptEntries.sort((a, b) =>
+    a.time === b.time ? a.seq - b.seq : a.time - b.time
+  );
+
+  if (session.language && session.language.code !== "en" && session.transcriptEntries.length) {
+    try {
+      await translateTranscript(session.transcriptEntries, session.usage);
+    } catch (err) {
+      session.log.error("Error translating transcript", { err });
+    }
+  }
+
+  // Build final transcript, with the English next to lines in other languages
+  const transcript = session.transcriptEntries
+    .map((e) => `${e.speaker}: ${e.text}${e.english ? ` (English: ${e.english})` : ""}`)
+    .join("\n");
+
+  const result = {
+    endedAt: new Date().toISOString(),
+    transcriptEntries: session.transcriptEntries,
+    ...(session.voicemail ? { status: "voicemail" } : {}),
+  };
+
+  try {
+    await postCallUpdate(session, `[${session.label}] 📄 Full transcript:\n${transcript}`);
+    Object.assign(result, await summarizeCall(session, transcript));
+    summarySeconds.observe((Date.now() - Date.parse(result.endedAt)) / 1000);
+  } catch (err) {
+    session.log.error("Error generating summary", { err });
+    await postCallUpdate(session, `[${session.label}] 📝 Call summary failed due to error.`);
+  } finally {
+    if (session.historyId) {
+      // A transfer result can land on the record while the summary is being
+      // written; keep the lines the session doesn't already have
+      const lineKey = (e) => `${e.time}|${e.speaker}|${e.text}`;
+      const known = new Set(session.transcriptEntries.map(lineKey));
+      const late = (getCall(session.historyId)?.transcriptEntries || []).filter((e) => !known.has(lineKey(e)));
+      result.transcriptEntries = [...session.transcriptEntries, ...late].sort((a, b) => a.time - b.time);
+      updateCall(session.historyId, result);
+    }
+    callsEnded.inc({
+      direction: session.direction,
+      outcome: result.outcome?.disposition || (session.voicemail ? "voicemail" : "unknown"),
+    });
+  }
+
+  if (session.historyId) {
+    // Outbound minutes come with Twilio's final status; inbound calls have none
+    if (session.direction === "inbound") {
+      addTwilioUsage(session.usage, Math.round((Date.now() - session.startedAt) / 1000), "inbound");
+    }
+    await recordUsage(session.historyId, session.usage);
+  }
+
+  await saveCallRecording(session);
+  if (session.broadcastId && session.historyId) await broadcastCallEnded(getCall(session.historyId));
+}
+
+// Writes the WAV and posts a link that works without API_TOKEN for a while
+async function saveCallRecording(session) {
+  if (!session.recorder || !session.historyId) return;
+
+  let saved;
+  try {
+    saved = saveRecording(session.recorder, session.historyId);
+  } catch (err) {
+    session.log.error("Recording save error", { err });
+    return;
+  }
+  session.recorder = null;
+  if (!saved) return;
+
+  updateCall(session.historyId, { recording: { ...saved, savedAt: new Date().toISOString() } });
+  await postCallUpdate(
+    session,
+    `[${session.label}] 🎧 Recording (${formatDuration(saved.durationSec)}): ${recordingLink(session.historyId)}`
+  );
+}
+
+// Adds a call's costs to its record, and warns the chat the first time this
+// month's spend passes 80% and 100% of MONTHLY_BUDGET_USD
+async function recordUsage(callId, usage) {
+  const record = getCall(callId);
+  if (!record) return;
+
+  const before = monthSpend();
+  updateCall(callId, { usage: mergeUsage(record.usage, usage) });
+  const warning = budgetWarning(before, monthSpend());
+  if (warning) await postToChannel(record.channel || defaultChannel(), warning);
+}
+
+function twilioUsage(seconds) {
+  const usage = createUsage();
+  addTwilioUsage(usage, seconds);
+  return usage;
+}
+
+function recordingLink(callId) {
+  const ttlHours = Number(process.env.RECORDING_LINK_TTL_HOURS) || 24;
+  return `https://${publicHost()}${signPath(`/api/calls/${callId}/recording`, ttlHours * 60 * 60 * 1000)}`;
+}
+
+// Posts the summary (and, for inbound calls, the message card) and
+// returns the fields to keep on the call's history record
+async function summarizeCall(session, transcript) {
+  const tag = `[${session.label}]`;
+
+  if (session.questions) return summarizeAnswers(session, transcript);
+
+  if (session.voicemail) {
+    const summary = `Reached voicemail and left ${session.persona.owner}'s message.`;
+    await postCallUpdate(session, `${tag} 📝 Call summary: ${summary}`);
+    return { summary, outcome: emptyOutcome({ delivered: true, disposition: "voicemail" }) };
+  }
+
+  if (transcript.length < 30) {
+    if (session.direction === "inbound") {
+      await postCallUpdate(session, `${tag} 📬 Call from ${describeParty(session)} — no message left.`);
+    } else {
+      await postCallUpdate(session, `${tag} 📝 Call summary: No usable transcript captured.`);
+    }
+    return { outcome: emptyOutcome({ disposition: "no_conversation" }) };
+  }
 
-    if (msg.event === "media" && streamSid) {
-      if (oai && oaiReady && oai.readyState === WebSocket.OPEN) {
-        // Append audio to OpenAI input buffer
-        oai.send(
-          JSON.stringify({
-            type: "input_audio_buffer.append",
-            audio: msg.media.payload,
-          })
-        );
-        hasBufferedAudio = true;
+  if (!process.env.OPENAI_API_KEY) {
+    session.log.error("Missing OPENAI_API_KEY env var for summary");
+    await postCallUpdate(session, `${tag} 📝 Call summary unavailable (missing API key).`);
+    return {};
+  }
 
-        // Debounce commits
-        if (commitTimer) clearTimeout(commitTimer);
-        commitTimer = setTimeout(() => {
-          try {
-            if (hasBufferedAudio) {
-              oai.send(
-                JSON.stringify({
-                  type: "input_audio_buffer.commit"
-                })
-              );
-              hasBufferedAudio = false;
-            }
-            // NO response.create
-            // NO ws.send
-          } catch (err) {
-            console.error("Commit error:", err);
-          }
-        }, DEBOUNCE_MS);
-        
+  const fields = {};
 
-      }
-      return;
+  if (session.direction === "inbound") {
+    try {
+      fields.message = await extractMessageCard(transcript, session.persona.owner, session.usage);
+      await postCallUpdate(session, formatMessageCard(session, fields.message));
+    } catch (err) {
+      session.log.error("Error extracting message card", { err });
     }
+  }
 
-    if (msg.event === "stop") {
-      console.log("Call stopped. Summarizing via GPT-4o-mini…");
+  try {
+    fields.outcome = await extractOutcome(transcript, session);
+    await postCallUpdate(session, formatOutcomeCard(session, fields.outcome));
+  } catch (err) {
+    session.log.error("Error extracting call outcome", { err });
+  }
 
-      if (oai && oai.readyState === WebSocket.OPEN) {
-        try {
-          oai.close();
-        } catch {
-          // ignore
-        }
-      }
+  const summary = await summarizeTranscript(transcript, session.usage);
 
-      try {
-        // Sort events by time, fallback to seq for same-ms cases
-        transcriptEntries.sort((a, b) =>
-          a.time === b.time ? a.seq - b.seq : a.time - b.time
-        );
-        
-        // Build final transcript
-        const transcript = transcriptEntries
-          .map((e) => `${e.speaker}: ${e.text}`)
-          .join("\n");
-
-          // 🔹 NEW: send full transcript to GroupMe
-          await sendGroupMe(`📄 Full transcript:\n${transcript}`);
-        
-        if (transcript.length < 30) {
-          await sendGroupMe("📝 Call summary: No usable transcript captured.");
-          try {
-            ws.close();
-          } catch {
-            // ignore
-          }
-          return;
-        }
+  if (summary) {
+    await postCallUpdate(session, `${tag} 📝 Call summary: ${summary}`);
+  } else {
+    await postCallUpdate(session, `${tag} 📝 Call summary unavailable.`);
+  }
 
-        if (!process.env.OPENAI_API_KEY) {
-          console.error("Missing OPENAI_API_KEY env var for summary");
-          await sendGroupMe("📝 Call summary unavailable (missing API key).");
-          try {
-            ws.close();
-          } catch {
-            // ignore
-          }
-          return;
-        }
+  fields.summary = summary || null;
+  return fields;
+}
 
-        const summaryResponse = await fetch(
-          "https://api.openai.com/v1/chat/completions",
-          {
-            method: "POST",
-            headers: {
-              Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-              model: "gpt-4o-mini",
-              messages: [
-                {
-                  role: "system",
-                  content:
-                    "You are a neutral assistant that summarizes phone calls in plain English.",
-                },
-                {
-                  role: "user",
-                  content: `Here is the transcript of a phone call:\n\n${transcript}\n\nSummarize what was said in 2–3 sentences. Be factual and concise.`,
-                },
-              ],
-            }),
-          }
-        );
+// === Question calls: answers instead of a summary ===
+// Answers saved with record_answer were confirmed on the call; any question
+// still open is looked for in the transcript before it is marked unanswered.
+async function summarizeAnswers(session, transcript) {
+  const talked = !session.voicemail && transcript.length >= 30;
+  let heard = [];
 
-        const data = await summaryResponse.json();
-        const summary = data?.choices?.[0]?.message?.content?.trim();
+  if (talked && session.questions.some((_, i) => !session.answers[i]) && process.env.OPENAI_API_KEY) {
+    try {
+      heard = await extractAnswers(session.questions, transcript, session.usage);
+    } catch (err) {
+      session.log.error("Error extracting answers", { err });
+    }
+  }
 
-        if (summary) {
-          await sendGroupMe(`📝 Call summary: ${summary}`);
-        } else {
-          await sendGroupMe("📝 Call summary unavailable.");
-        }
-      } catch (err) {
-        console.error("Error generating summary:", err);
-        await sendGroupMe("📝 Call summary failed due to error.");
-      }
+  const answers = session.questions.map((question, i) => {
+    const answer = session.answers[i] || (typeof heard[i] === "string" && heard[i].trim()) || null;
+    return { question, answer, confirmed: Boolean(session.answers[i]) };
+  });
+  await postCallUpdate(session, formatAnswersCard(session, answers));
+
+  const answered = answers.filter((a) => a.answer).length;
+  const disposition = session.voicemail
+    ? "voicemail"
+    : !talked
+      ? "no_conversation"
+      : answered === answers.length
+        ? "answered"
+        : "incomplete";
+
+  return {
+    answers,
+    summary: `${answered} of ${answers.length} question${answers.length === 1 ? "" : "s"} answered.`,
+    outcome: emptyOutcome({ delivered: answered > 0, disposition }),
+  };
+}
 
-      try {
-        ws.close();
-      } catch {
-        // ignore
-      }
+async function extractAnswers(questions, transcript, usage) {
+  const result = await chatCompletionJson([
+    {
+      role: "system",
+      content:
+        "You read a phone-call transcript and pull out the answers to a list of questions. " +
+        'Reply with a JSON object {"answers": [...]} with exactly one entry per question, in order: ' +
+        "the answer in a few words as the other person gave it, or null if they did not clearly answer it.",
+    },
+    { role: "user", content: JSON.stringify({ questions, transcript }) },
+  ], { usage });
+  return Array.isArray(result?.answers) ? result.answers : [];
+}
 
-      return;
-    }
+function formatAnswersCard(session, answers) {
+  const lines = answers.map(({ question, answer, confirmed }, i) => {
+    const result = answer ? `${answer}${confirmed ? "" : " (not confirmed on the call)"}` : "⚠️ unanswered";
+    return `${i + 1}. ${question}\n   → ${result}`;
   });
+  return `[${session.label}] ❓ Answers from ${describeParty(session)}:\n${lines.join("\n")}`;
+}
 
-  ws.on("error", (err) => console.error("Twilio WS error:", err));
+// === Post-call summaries ===
+async function summarizeTranscript(transcript, usage) {
+  return chatCompletion([
+    {
+      role: "system",
+      content:
+        "You are a neutral assistant that summarizes phone calls in plain English.",
+    },
+    {
+      role: "user",
+      content: `Here is the transcript of a phone call:\n\n${transcript}\n\nSummarize what was said in 2–3 sentences. Be factual and concise.`,
+    },
+  ], { usage });
+}
 
-  ws.on("close", () => {
-    if (commitTimer) clearTimeout(commitTimer);
-    if (bargeInTimeout) clearTimeout(bargeInTimeout);
-    if (goodbyeCheckTimer) {
-      clearInterval(goodbyeCheckTimer);
-      goodbyeCheckTimer = null;
-    }
-    if (oai && oai.readyState === WebSocket.OPEN) {
-      try {
-        oai.close();
-      } catch {
-        // ignore
-      }
-    }
+// === Structured call outcome ===
+// Kept on the call record as `outcome` so automations can act on it (e.g.
+// GET /api/calls?callback=1) without reading transcripts.
+const DISPOSITIONS = [
+  "delivered", // message given, nothing else needed
+  "callback_requested",
+  "message_taken", // inbound: caller left a message
+  "declined", // did not want to hear it / hung up early
+  "wrong_number",
+  "incomplete", // cut off or unclear
+  "voicemail",
+  "no_conversation",
+  "answered", // question calls: every question got an answer
+];
+
+function emptyOutcome(fields = {}) {
+  return {
+    delivered: false,
+    reply: null,
+    callbackRequested: false,
+    callbackWhen: null,
+    callbackAt: null,
+    commitments: [],
+    disposition: "incomplete",
+    ...fields,
+  };
+}
+
+async function extractOutcome(transcript, session) {
+  const owner = session.persona.owner;
+  const context =
+    session.direction === "inbound"
+      ? `This was an incoming call to ${owner}'s phone; the assistant took a message.`
+      : `The assistant called on ${owner}'s behalf to deliver this message: "${session.prompt}".`;
+
+  const raw = await chatCompletionJson([
+    {
+      role: "system",
+      content:
+        "You extract the outcome of a phone call from its transcript. Reply with a JSON object with the keys: " +
+        '"delivered" (true if the other person heard the message), ' +
+        `"reply" (their message back to ${owner}, word for word as they said it, or null), ` +
+        `"callback_requested" (true if they asked ${owner} to call them back), ` +
+        '"callback_when" (when they asked to be called back, as they said it, or null), ' +
+        '"commitments" (array of promises, appointments or dates either side mentioned, each a short sentence), ' +
+        `"disposition" (one of ${DISPOSITIONS.filter((d) => !["voicemail", "no_conversation", "answered"].includes(d)).join(", ")}).`,
+    },
+    { role: "user", content: `${context}\n\nTranscript:\n${transcript}` },
+  ], { usage: session.usage });
+  if (!raw) throw new Error("Outcome reply was not valid JSON");
+
+  // What the assistant saved with record_reply_message beats a reading of the transcript
+  const saved = session.replyMessage;
+  const said = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+  const callbackWhen = said(saved?.callbackWhen) || said(raw.callback_when);
+  const callbackAt = callbackWhen ? parseWhen(callbackWhen) : null;
+
+  return emptyOutcome({
+    delivered: session.direction === "inbound" ? null : raw.delivered === true,
+    reply: said(saved?.message) || said(raw.reply),
+    callbackRequested: Boolean(saved?.callbackRequested) || raw.callback_requested === true,
+    callbackWhen,
+    callbackAt: callbackAt ? callbackAt.toISOString() : null,
+    commitments: Array.isArray(raw.commitments) ? raw.commitments.filter((c) => typeof c === "string") : [],
+    disposition: DISPOSITIONS.includes(raw.disposition) ? raw.disposition : "incomplete",
   });
+}
+
+function formatOutcomeCard(session, outcome) {
+  const yesNo = (v) => (v ? "yes" : "no");
+  const callback = outcome.callbackRequested
+    ? `requested${outcome.callbackWhen ? ` — ${outcome.callbackWhen}` : ""}` +
+      (outcome.callbackAt ? ` (${formatWhen(new Date(outcome.callbackAt))})` : "")
+    : "no";
+
+  return [
+    `[${session.label}] 📋 Outcome: ${outcome.disposition.replace(/_/g, " ")}`,
+    outcome.delivered === null ? null : `Delivered: ${yesNo(outcome.delivered)}`,
+    `Reply: ${outcome.reply ? `"${outcome.reply}"` : "none"}`,
+    `Callback: ${callback}`,
+    outcome.commitments.length ? `Commitments:\n${outcome.commitments.map((c) => `• ${c}`).join("\n")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Pull the message an inbound caller left into structured fields
+async function extractMessageCard(transcript, owner, usage) {
+  const card = await chatCompletionJson([
+    {
+      role: "system",
+      content:
+        "You extract phone messages from call transcripts. Reply with a JSON object with the keys " +
+        '"name", "callback_number", "reason" and "message". Use null for anything the caller did not say. ' +
+        `"message" is the caller's message to ${owner} in one or two sentences, in the third person.`,
+    },
+    {
+      role: "user",
+      content: `Here is the transcript of a call to ${owner}'s phone:\n\n${transcript}`,
+    },
+  ], { usage });
+
+  return card || {};
+}
 
+function formatMessageCard(session, card) {
+  return [
+    `[${session.label}] 📬 New message for ${session.persona.owner}`,
+    `From: ${card.name || "unknown caller"}`,
+    `Callback: ${card.callback_number || session.number || "not given"}`,
+    `Reason: ${card.reason || "not given"}`,
+    `Message: ${card.message || "none"}`,
+  ].join("\n");
 }
 
 // === Helper functions ===
 
 async function sendCaptionToGPT(role, text) {
   try {
-    await fetch("https://api.openai.com/v1/chat/completions", {
+    await fetch(`${openaiApiBase()}/chat/completions`, {
       method: "POST",
       headers: {
         Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
@@ -659,49 +2586,187 @@ async function sendCaptionToGPT(role, text) {
       })
     });
   } catch (err) {
-    console.error("GPT caption forward error:", err);
+    log.error("GPT caption forward error", { err });
   }
 }
 
-// === GroupMe Caption Batcher ===
-let gmBatch = [];
-let gmBatchTimer = null;
+// Routine per-call chatter (captions, cards, transcript). Broadcast calls
+// skip it; their batch posts one report instead.
+function postCallUpdate(session, text) {
+  if (session.broadcastId) return Promise.resolve(false);
+  return postToChannel(session.channel, text);
+}
 
-async function sendGroupMeBatched(role, text) {
-  gmBatch.push(`${role}: ${text}`);
+// === Caption batcher (one batch per call session) ===
+function postCaption(session, role, text) {
+  session.captionLines.push(`[${session.label}] ${role}: ${text}`);
 
-  if (gmBatchTimer) clearTimeout(gmBatchTimer);
+  if (session.timers.captions) clearTimeout(session.timers.captions);
 
   // Send in a single combined message after 400ms of silence
-  gmBatchTimer = setTimeout(async () => {
-    const combined = gmBatch.join("\n");
-    gmBatch = [];
-
-    try {
-      await sendGroupMe(combined);
-    } catch (err) {
-      console.error("GroupMe batch send error:", err);
-    }
+  session.timers.captions = setTimeout(() => {
+    session.timers.captions = null;
+    flushCaptions(session);
   }, 400);
 }
 
+async function flushCaptions(session) {
+  if (session.timers.captions) {
+    clearTimeout(session.timers.captions);
+    session.timers.captions = null;
+  }
+  if (!session.captionLines.length) return;
+
+  const combined = session.captionLines.join("\n");
+  session.captionLines = [];
 
+  await postCallUpdate(session, combined);
+}
 
+function formatScheduledCalls() {
+  const jobs = listJobs();
+  if (!jobs.length) return "No scheduled calls.";
 
-function normalizePhone(s) {
-  const digits = s.replace(/\D/g, "");
+  const lines = jobs.map(
+    (j) =>
+      `${j.id} · ${formatWhen(new Date(j.runAt))} · ${j.name || j.to} · "${j.prompt}"` +
+      (j.attempt > 1 ? ` (retry, attempt ${j.attempt})` : "")
+  );
+  return `Scheduled calls (${jobs.length}):\n${lines.join("\n")}`;
+}
 
-  if (digits.length === 10) return "+1" + digits;
-  if (digits.length === 11 && digits.startsWith("1")) return "+" + digits;
-  if (/^\+\d{8,15}$/.test(s)) return s;
+// "Dr. Lee (+14355551212)", or just the number for strangers
+function describeParty(session) {
+  const number = session.number || "unknown number";
+  return session.contactName ? `${session.contactName} (${number})` : number;
+}
 
-  return null;
+function formatPersonas(current) {
+  const lines = listPersonas().map(
+    (p) => `${p.id} — ${p.owner}, voice ${p.voice}${p.id === current.id ? " (your default)" : ""}`
+  );
+  return [`Personas (${lines.length}):`, ...lines, 'Use one with "as <name>: call …" or set yours with "persona <name>".'].join("\n");
+}
+
+function formatContacts() {
+  const all = listContacts();
+  if (!all.length) return "No contacts yet. Add one with: add contact Dr. Lee 4355551212";
+
+  const lines = all.map((c) => {
+    const language = languageForNumber(c.phone);
+    const notes = [language?.name, c.timeZone].filter(Boolean);
+    return `${c.name} — ${c.phone}${notes.length ? ` (${notes.join(", ")})` : ""}`;
+  });
+  return `Contacts (${all.length}):\n${lines.join("\n")}`;
+}
+
+function formatDoNotCall() {
+  const all = listDoNotCall();
+  if (!all.length) return "The do-not-call list is empty. Add to it with: dnc add 4355551212: asked not to be called";
+
+  const lines = all.map((e) => {
+    const name = findContactByPhone(e.phone)?.name;
+    return `${name ? `${name} — ` : ""}${e.phone}${e.reason ? ` (${e.reason})` : ""}`;
+  });
+  return `🚫 Do not call (${all.length}):\n${lines.join("\n")}`;
+}
+
+function formatGroups() {
+  const all = listGroups();
+  if (!all.length) return "No groups yet. Add one with: add group team: Pat, Sam, 4355551212";
+
+  const lines = all.map((g) => `${g.name} (${g.members.length}) — ${g.members.map((m) => m.name || m.to).join(", ")}`);
+  return `Groups (${all.length}):\n${lines.join("\n")}`;
+}
+
+function formatActiveCalls() {
+  const active = listSessions();
+  if (!active.length) return "No active calls.";
+
+  const lines = active.map((s) => {
+    const duration = formatDuration((Date.now() - s.startedAt) / 1000);
+    const what = s.direction === "inbound" ? "incoming, taking a message" : `"${s.prompt}"`;
+    return `${s.label} ${describeParty(s)} — ${duration} — ${what}`;
+  });
+
+  return `Active calls (${active.length}):\n${lines.join("\n")}`;
+}
+
+function formatHistory(calls, query) {
+  if (!calls.length) return query ? `No calls with "${query}" yet.` : "No calls yet.";
+
+  const lines = calls.map((c) => {
+    const who = c.contactName ? `${c.contactName} (${c.number})` : c.number || "unknown number";
+    const arrow = c.direction === "inbound" ? "⬅️" : "➡️";
+    return `${c.id} · ${formatWhen(new Date(c.startedAt))} · ${arrow} ${who} · ${c.status}`;
+  });
+
+  return `Recent calls${query ? ` with ${query}` : ""}:\n${lines.join("\n")}\nSend "transcript <id>" for details.`;
+}
+
+function formatCallRecord(c) {
+  const who = c.contactName ? `${c.contactName} (${c.number})` : c.number || "unknown number";
+  const transcript = (c.transcriptEntries || [])
+    .map((e) => `${e.speaker}: ${e.text}`)
+    .join("\n");
+  const outcome = c.outcome
+    ? `📋 Outcome: ${c.outcome.disposition.replace(/_/g, " ")}` +
+      (c.outcome.callbackRequested ? ` · callback ${c.outcome.callbackWhen || "requested"}` : "")
+    : null;
+
+  return [
+    `Call ${c.id} · ${c.direction === "inbound" ? "from" : "to"} ${who}`,
+    `${formatWhen(new Date(c.startedAt))} · ${c.status}` +
+      (c.durationSec ? ` · ${formatDuration(c.durationSec)}` : "") +
+      (c.usage ? ` · ${formatUsd(usageTotal(c.usage))}` : ""),
+    c.prompt ? `Message: "${c.prompt}"` : null,
+    `📄 Transcript:\n${transcript || "(none)"}`,
+    c.answers
+      ? `❓ Answers:\n${c.answers.map((a, i) => `${i + 1}. ${a.question} → ${a.answer || "unanswered"}`).join("\n")}`
+      : null,
+    outcome,
+    c.outcome?.reply ? `Reply: "${c.outcome.reply}"` : null,
+    c.summary ? `📝 Summary: ${c.summary}` : null,
+    c.recording ? `🎧 Recording: ${recordingLink(c.id)}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function formatUsage(report) {
+  const [year, month] = report.month.split("-").map(Number);
+  const label = new Date(Date.UTC(year, month - 1, 15)).toLocaleString("en-US", { month: "long", year: "numeric", timeZone: "UTC" });
+  const { realtime, completions, twilio } = report.sources;
+  const tokens = (n) => (n >= 1000 ? `${Math.round(n / 1000)}k` : String(n));
+  const budget = report.budgetUsd
+    ? ` of ${formatUsd(report.budgetUsd)} budget (${Math.round(report.budgetUsed * 100)}%)`
+    : "";
+
+  return [
+    `💰 Usage for ${label}: ${formatUsd(report.totalUsd)}${budget} across ${report.calls} call${report.calls === 1 ? "" : "s"}`,
+    `🎙️ Realtime: ${formatUsd(realtime.usd)} (${tokens(realtime.inputTokens)} in, ${tokens(realtime.outputTokens)} out tokens)`,
+    `📞 Twilio: ${formatUsd(twilio.usd)} (${Math.round(twilio.seconds / 60)} min)`,
+    `📝 Summaries and translations: ${formatUsd(completions.usd)}`,
+    report.requesters.length
+      ? `By requester:\n${report.requesters.map((r) => `• ${r.name} — ${r.calls} call${r.calls === 1 ? "" : "s"}, ${formatUsd(r.usd)}`).join("\n")}`
+      : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function formatDuration(seconds) {
+  const secs = Math.round(Number(seconds) || 0);
+  return `${Math.floor(secs / 60)}m ${String(secs % 60).padStart(2, "0")}s`;
 }
 
+
+
+
 async function endTwilioCall(callSid) {
   if (!callSid) return;
 
-  const api = `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Calls/${callSid}.json`;
+  const api = twilioApiUrl(`/Calls/${callSid}.json`);
 
   const auth = Buffer.from(
     `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
@@ -721,10 +2786,77 @@ async function endTwilioCall(callSid) {
   });
 
   if (!res.ok) {
-    console.error("Twilio end call failed:", await res.text());
-  } else {
-    console.log("Twilio call ended by assistant decision.");
+    const body = await res.text();
+    log.error("Twilio end call failed", { callSid, status: res.status, body });
+    throw new Error(`Twilio answered ${res.status}${twilioErrorMessage(body)}`);
+  }
+  log.info("Twilio call ended", { callSid });
+}
+
+// ": Call is not in-progress" from a Twilio error body, or ""
+function twilioErrorMessage(body) {
+  try {
+    const { message } = JSON.parse(body);
+    return message ? `: ${message}` : "";
+  } catch {
+    return "";
+  }
+}
+
+// The hangup watcher's end of the call. "Left voicemail" is only posted once
+// Twilio has actually hung up.
+async function hangUpAfterGoodbye(session) {
+  try {
+    await endTwilioCall(session.callSid);
+  } catch (err) {
+    session.log.error("Error ending Twilio call", { err });
+    if (session.voicemail) {
+      await postCallUpdate(
+        session,
+        `[${session.label}] ⚠️ Left voicemail for ${describeParty(session)}, but Twilio could not hang up (${err.message}).`
+      );
+    }
+    return;
+  }
+  if (session.voicemail) await postCallUpdate(session, `[${session.label}] 📼 Left voicemail for ${describeParty(session)}`);
+}
+
+// Replace what a live call is doing with new TwiML
+async function redirectTwilioCall(callSid, twiml) {
+  if (!callSid) return false;
+
+  const auth = Buffer.from(
+    `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
+  ).toString("base64");
+
+  const res = await fetch(twilioApiUrl(`/Calls/${callSid}.json`), {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${auth}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({ Twiml: twiml }),
+  });
+
+  if (!res.ok) {
+    log.error("Twilio redirect failed", { callSid, status: res.status, body: await res.text() });
   }
+  return res.ok;
+}
+
+// A plain outbound call with inline TwiML (the owner's leg of a conference transfer)
+async function createTwilioCall(params) {
+  const auth = Buffer.from(
+    `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
+  ).toString("base64");
+
+  return fetch(twilioApiUrl("/Calls.json"), {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${auth}`,
+    },
+    body: new URLSearchParams({ StatusCallbackMethod: "POST", ...params }),
+  });
 }
 
 async function endAllInProgressCalls() {
@@ -732,14 +2864,14 @@ async function endAllInProgressCalls() {
   const authToken = process.env.TWILIO_AUTH_TOKEN;
 
   if (!accountSid || !authToken) {
-    console.error("Missing Twilio credentials");
+    log.error("Missing Twilio credentials");
     return 0;
   }
 
   const auth = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
 
   // 1) Get all in-progress calls from Twilio
-  const listUrl = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Calls.json?Status=in-progress`;
+  const listUrl = twilioApiUrl("/Calls.json?Status=in-progress");
 
   const listRes = await fetch(listUrl, {
     method: "GET",
@@ -749,7 +2881,7 @@ async function endAllInProgressCalls() {
   });
 
   if (!listRes.ok) {
-    console.error("Failed to fetch in-progress calls:", await listRes.text());
+    log.error("Failed to fetch in-progress calls", { status: listRes.status, body: await listRes.text() });
     return 0;
   }
 
@@ -757,15 +2889,15 @@ async function endAllInProgressCalls() {
   const calls = data.calls || [];
 
   if (!calls.length) {
-    console.log("No in-progress calls to end.");
+    log.info("No in-progress calls to end");
     return 0;
   }
 
-  console.log(`Found ${calls.length} in-progress call(s) to end.`);
+  log.info("Ending in-progress calls", { count: calls.length });
 
   // 2) For each call, set Status=completed (hang up)
   const endPromises = calls.map((call) => {
-    const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Calls/${call.sid}.json`;
+    const url = twilioApiUrl(`/Calls/${call.sid}.json`);
 
     const body = new URLSearchParams({
       Status: "completed",
@@ -780,9 +2912,9 @@ async function endAllInProgressCalls() {
       body,
     }).then(async (res) => {
       if (!res.ok) {
-        console.error(`Failed to end call ${call.sid}:`, await res.text());
+        log.error("Failed to end call", { callSid: call.sid, status: res.status, body: await res.text() });
       } else {
-        console.log(`Ended call ${call.sid}`);
+        log.info("Ended call", { callSid: call.sid });
       }
     });
   });
@@ -792,34 +2924,351 @@ async function endAllInProgressCalls() {
 }
 
 
-async function makeTwilioCallWithTwiml(to, promptText) {
-  const api = `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Calls.json`;
+// Every outbound call (immediate, scheduled or retried) goes through here.
+// `channel` is where the request came from; the call reports back there.
+async function placeCall({
+  to,
+  name = null,
+  prompt,
+  attempt = 1,
+  channel = null,
+  requester = null,
+  persona = null,
+  language = null,
+  goal = "message",
+  broadcastId = null,
+  override = false,
+}) {
+  channel = channel || defaultChannel();
+  const who = name ? `${name} (${to})` : to;
+
+  const refusal = callRefusal({ to, requester, channel, override });
+  if (refusal) {
+    log.info("Call refused", { to, reason: refusal, broadcastId });
+    if (!broadcastId) await postToChannel(channel, refusalMessage(who, refusal));
+    return false;
+  }
+
+  persona = getPersona(persona);
+  // An explicit "in Spanish" wins; otherwise the number's default is looked up when the call connects
+  const chosenLanguage = findLanguage(language);
+
+  const call = await makeTwilioCallWithTwiml(to, prompt, {
+    persona: persona.id,
+    ...(name ? { name } : {}),
+    ...(chosenLanguage ? { language: chosenLanguage.code } : {}),
+    ...(goal === "questions" ? { goal } : {}),
+  });
+  const data = await call.json().catch(() => ({}));
+
+  const record = recordCall({
+    callSid: data.sid || null,
+    number: to,
+    contactName: name,
+    prompt,
+    attempt,
+    channel,
+    requester,
+    persona: persona.id,
+    language: chosenLanguage?.code || null,
+    goal,
+    ...(broadcastId ? { broadcastId } : {}),
+    ...(override ? { override } : {}),
+  });
+
+  if (!call.ok) {
+    const reason = data.message ? `: ${data.message}${data.code ? ` (error ${data.code})` : ""}` : "";
+    log.error("Twilio call failed", { to, callId: record.id, status: call.status, error: data });
+    updateCall(record.id, { status: "failed", endedAt: new Date().toISOString(), error: data.message || null });
+    if (!broadcastId) await postToChannel(channel, `Twilio call failed${reason}.`);
+    return false;
+  }
+
+  // Broadcast calls report once, with the whole batch
+  if (broadcastId) return record;
+
+  const retry = attempt > 1 ? ` (attempt ${attempt})` : "";
+  const as = listPersonas().length > 1 ? ` as ${persona.owner}'s assistant` : "";
+  const inLanguage = chosenLanguage ? ` in ${chosenLanguage.name}` : "";
+  await postToChannel(channel, `Calling ${who} now${retry}${as}${inLanguage} and ${goalVerb(goal)}: "${prompt}"`);
+  return record;
+}
+
+function refusalMessage(who, reason) {
+  // An override doesn't lift the budget
+  const hint = hasAdmins() && !budgetRefusal() ? '\nAn admin can send the command again starting with "override:" to call anyway.' : "";
+  return `Not calling ${who}. ${reason}${hint}`;
+}
+
+function goalVerb(goal) {
+  return goal === "questions" ? "asking" : "saying";
+}
+
+async function runScheduledCall(job) {
+  const lateMs = Date.now() - Date.parse(job.runAt);
+  const late = lateMs > 5 * 60 * 1000 ? ` (was due ${formatWhen(new Date(job.runAt))})` : "";
+
+  if (job.attempt > 1) {
+    await postToChannel(job.channel, `🔁 Retrying call ${job.id}${late}.`);
+  } else {
+    await postToChannel(job.channel, `⏰ Scheduled call ${job.id} is due${late}.`);
+  }
+  await placeCall({
+    to: job.to,
+    name: job.name,
+    prompt: job.prompt,
+    attempt: job.attempt || 1,
+    channel: job.channel,
+    requester: job.requester,
+    persona: job.persona,
+    language: job.language,
+    goal: job.goal,
+    override: job.override,
+  });
+}
+
+async function handleCallStatus(body) {
+  const callSid = body.CallSid;
+  const status = (body.CallStatus || "").toLowerCase();
+  const record = getCall(callSid);
+  const channel = record?.channel || defaultChannel();
+  const to = record?.number || body.To || "unknown number";
+  const who = record?.contactName ? `${record.contactName} (${to})` : to;
+  // Broadcast calls stay quiet until the batch report
+  const post = (text) => (record?.broadcastId ? null : postToChannel(channel, text));
+
+  log.info("Call status", { callSid, status, callId: record?.id, durationSec: Number(body.CallDuration) || undefined });
+
+  switch (status) {
+    case "ringing":
+      await post(`🔔 Ringing ${who}…`);
+      return;
+    case "completed":
+      await post(`✅ Call with ${who} completed (${formatDuration(body.CallDuration)}).`);
+      break;
+    case "no-answer":
+      await post(`📵 ${who} did not answer.`);
+      break;
+    case "busy":
+      await post(`📵 ${who} was busy.`);
+      break;
+    case "failed":
+      await post(`❌ Call to ${who} failed${body.ErrorCode ? ` (error ${body.ErrorCode})` : ""}.`);
+      break;
+    case "canceled":
+      await post(`Call to ${who} was canceled.`);
+      break;
+    default:
+      return; // queued / initiated / in-progress: nothing to report
+  }
+
+  // Final status: record it, and redial if the retry policy says so
+  if (!record) return;
+
+  // Once the media stream has started, finishCall reports the call instead
+  const streamed = record.status === "in-progress" || record.status === "voicemail";
+
+  updateCall(record.id, {
+    status: record.status === "voicemail" ? "voicemail" : status,
+    endedAt: record.endedAt || new Date().toISOString(),
+    durationSec: Number(body.CallDuration) || 0,
+  });
+  if (record.direction === "outbound") await recordUsage(record.id, twilioUsage(Number(body.CallDuration) || 0));
+  if (!streamed) callsEnded.inc({ direction: record.direction, outcome: status });
+
+  if (record.broadcastId) {
+    // A live stream is reported by finishCall. One that is gone without it
+    // (a restart, or a socket closed without "stop") is reported from here.
+    if (!streamed || (!getSession(callSid) && !finishingCalls.has(callSid))) {
+      await broadcastCallEnded(getCall(record.id), status);
+    }
+    return; // no retries: the report says who wasn't reached
+  }
+
+  if (record.direction !== "outbound") return;
+
+  const retry = nextRetry(status, record.attempt || 1);
+  if (!retry) return;
+
+  const job = scheduleJob({
+    to: record.number,
+    name: record.contactName,
+    prompt: record.prompt,
+    runAt: retry.runAt,
+    attempt: retry.attempt,
+    channel,
+    requester: record.requester,
+    persona: record.persona,
+    language: record.language,
+    goal: record.goal,
+    ...(record.override ? { override: true } : {}),
+  });
+  await postToChannel(
+    channel,
+    `🔁 Will retry ${who} at ${formatWhen(retry.runAt)} (attempt ${retry.attempt} of ${retry.of}, scheduled call ${job.id}).`
+  );
+}
+
+// === Broadcasts ===
+// One message to several people, BROADCAST_CONCURRENCY calls at a time. The
+// calls post nothing on their own (no captions, cards or status lines); the
+// batch posts one report once the last call is done.
+
+async function startBroadcast({ recipients, prompt, channel, ...options }) {
+  const batch = createBroadcast({ recipients, prompt, channel, ...options });
+  const names = recipients.map((r) => r.name || r.to).join(", ");
+  await postToChannel(
+    channel,
+    `📣 Broadcast ${batch.id}: calling ${recipients.length} people (${broadcastConcurrency()} at a time) ` +
+      `and ${goalVerb(options.goal)}: "${prompt}"\n${names}`
+  );
+  await dialNextRecipients(batch);
+}
+
+async function dialNextRecipients(batch) {
+  for (const recipient of takeNextRecipients(batch)) {
+    const refusal = callRefusal({
+      to: recipient.to,
+      requester: batch.requester,
+      channel: batch.channel,
+      override: batch.override,
+    });
+    if (refusal) {
+      await recipientDone(batch, recipient.to, "blocked", refusal.replace(/^\S+\s|\.$/g, ""));
+      continue;
+    }
+
+    let record = false;
+    try {
+      record = await placeCall({
+        to: recipient.to,
+        name: recipient.name,
+        prompt: batch.prompt,
+        channel: batch.channel,
+        requester: batch.requester,
+        persona: batch.persona,
+        language: batch.language,
+        goal: batch.goal,
+        broadcastId: batch.id,
+        override: batch.override,
+      });
+    } catch (err) {
+      log.error("Broadcast call failed", { broadcastId: batch.id, to: recipient.to, err });
+    }
+
+    if (record) {
+      updateRecipient(batch, recipient.to, { callId: record.id });
+    } else {
+      await recipientDone(batch, recipient.to, "failed", "could not place the call");
+    }
+  }
+}
+
+// Twilio status (when the call never connected) or the end of finishCall
+async function broadcastCallEnded(record, status = record.status) {
+  const batch = getBroadcast(record.broadcastId);
+  if (!batch) return;
+
+  const outcome = record.outcome;
+  if (outcome?.disposition === "voicemail" || record.status === "voicemail") {
+    return recipientDone(batch, record.number, "voicemail");
+  }
+  if (status === "failed" || status === "canceled") {
+    return recipientDone(batch, record.number, "failed", record.error || status);
+  }
+  if (status === "busy" || status === "no-answer") {
+    return recipientDone(batch, record.number, "no_answer", status === "busy" ? "busy" : null);
+  }
+  if (outcome?.disposition === "no_conversation") {
+    return recipientDone(batch, record.number, "no_answer", "picked up, no conversation");
+  }
+
+  // The call connected. Without an outcome (no OPENAI_API_KEY, or the
+  // stream never finished) there is just no reply to show.
+  const detail = outcome?.reply || (record.answers ? record.summary : null);
+  return recipientDone(batch, record.number, "reached", detail);
+}
+
+async function recipientDone(batch, to, result, detail = null) {
+  const recipient = batch.recipients.find((r) => r.to === to);
+  if (!recipient || recipient.status === "done") return;
+
+  updateRecipient(batch, to, { status: "done", result, detail });
+  if (finishIfDone(batch)) {
+    await postToChannel(batch.channel, formatBroadcastReport(batch));
+  } else {
+    await dialNextRecipients(batch);
+  }
+}
+
+function formatBroadcastReport(batch) {
+  const label = (r) => r.name || r.to;
+  const group = (result, title) => {
+    const matching = batch.recipients.filter((r) => r.result === result);
+    if (!matching.length) return null;
+    const names = matching.map((r) => (r.detail && result !== "reached" ? `${label(r)} (${r.detail})` : label(r)));
+    return `${title} (${matching.length}): ${names.join(", ")}`;
+  };
+
+  const replies = batch.recipients.filter((r) => r.result === "reached" && r.detail);
+  const calls = batch.recipients.filter((r) => r.callId).map((r) => `${label(r)} ${r.callId}`);
+
+  return [
+    `📣 Broadcast ${batch.id} finished: "${batch.prompt}"`,
+    group("reached", "✅ Reached"),
+    group("voicemail", "📼 Voicemail"),
+    group("no_answer", "📵 No answer"),
+    group("failed", "❌ Failed"),
+    group("blocked", "🚫 Not called"),
+    replies.length
+      ? `${batch.goal === "questions" ? "❓ Answers" : "✉️ Replies"}:\n` +
+        replies.map((r) => `• ${label(r)}: ${batch.goal === "questions" ? r.detail : `"${r.detail}"`}`).join("\n")
+      : "✉️ No replies.",
+    calls.length ? `Transcripts: transcript <id> — ${calls.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// extraParams are passed through to the media stream as custom parameters
+async function makeTwilioCallWithTwiml(to, promptText, extraParams = {}) {
+  const api = twilioApiUrl("/Calls.json");
 
   const auth = Buffer.from(
     `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
   ).toString("base64");
 
-  const safePrompt = String(promptText)
-    .replace(/&/g, "&amp;")
-    .replace(/"/g, "&quot;");
-
-  const streamUrl = `wss://${process.env.BASE_HOST || "relaybot-2-0.onrender.com"}/twilio`;
-
-const twiml =
-  `<?xml version="1.0" encoding="UTF-8"?>` +
-  `<Response>` +
-  `<Connect><Stream url="${streamUrl}">` +
-  `<Parameter name="prompt" value="${safePrompt}"/>` +
-  `<Parameter name="loop" value="0"/>` +
-  `</Stream></Connect>` +
-  `</Response>`;
+  const host = publicHost();
+  const streamUrl = `wss://${host}/twilio/${signStreamToken()}`;
+  const amd = process.env.AMD_ENABLED !== "0";
 
+  const twiml = buildStreamTwiml(streamUrl, {
+    prompt: promptText,
+    loop: "0",
+    to,
+    amd: amd ? "1" : "0",
+    ...extraParams,
+  });
 
   const body = new URLSearchParams({
     To: to,
     From: process.env.TWILIO_FROM_NUMBER,
     Twiml: twiml,
+    StatusCallback: `https://${host}/twilio/status`,
+    StatusCallbackMethod: "POST",
   });
+  for (const event of ["initiated", "ringing", "answered", "completed"]) {
+    body.append("StatusCallbackEvent", event);
+  }
+
+  // Async AMD: the stream starts right away and the verdict arrives at
+  // /twilio/amd once the greeting has ended (after the beep for machines)
+  if (amd) {
+    body.set("MachineDetection", "DetectMessageEnd");
+    body.set("AsyncAmd", "true");
+    body.set("AsyncAmdStatusCallback", `https://${host}/twilio/amd`);
+    body.set("AsyncAmdStatusCallbackMethod", "POST");
+  }
 
   return fetch(api, {
     method: "POST",
@@ -830,13 +3279,34 @@ const twiml =
   });
 }
 
-async function sendGroupMe(text) {
-  await fetch("https://api.groupme.com/v3/bots/post", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      bot_id: process.env.GROUPME_BOT_ID,
-      text,
-    }),
-  });
+// TWILIO_API_BASE lets tests point REST calls at a local stand-in
+function twilioApiUrl(path) {
+  const base = process.env.TWILIO_API_BASE || "https://api.twilio.com";
+  return `${base}/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}${path}`;
+}
+
+function publicHost() {
+  return process.env.BASE_HOST || "relaybot-2-0.onrender.com";
+}
+
+function escapeXmlAttr(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// <Connect><Stream> TwiML; params arrive as customParameters on "start"
+function buildStreamTwiml(streamUrl, params) {
+  const paramXml = Object.entries(params)
+    .map(([name, value]) => `<Parameter name="${name}" value="${escapeXmlAttr(value)}"/>`)
+    .join("");
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<Response>` +
+    `<Connect><Stream url="${streamUrl}">${paramXml}</Stream></Connect>` +
+    `</Response>`
+  );
 }
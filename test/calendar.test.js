@@ -0,0 +1,74 @@
+// Free/busy answers from an .ics file, with recurring events expanded
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { checkAvailability } from "../lib/calendar.js";
+
+const TZ = "America/Denver";
+const FILE = "test/fixtures/recurring.ics";
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "relaybot-calendar-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function available(date, time, file = FILE) {
+  return checkAvailability(file, { date, time, durationMinutes: 15 }, TZ).available;
+}
+
+test("repeats a daily event on its weekdays, keeping its wall-clock time across DST", () => {
+  assert.equal(available("2026-10-20", "09:00"), false);
+  assert.equal(available("2026-10-24", "09:00"), true); // Saturday
+  assert.equal(available("2026-11-02", "09:00"), false); // after DST ends
+  assert.equal(available("2026-10-02", "09:00"), true); // before the series starts
+});
+
+test("skips EXDATEs and moves an occurrence that has its own RECURRENCE-ID", () => {
+  assert.equal(available("2026-10-21", "09:00"), true);
+  assert.equal(available("2026-10-22", "09:00"), true);
+  assert.equal(available("2026-10-22", "11:00"), false);
+});
+
+test("honours INTERVAL, UNTIL and COUNT", () => {
+  assert.equal(available("2026-10-15", "14:30"), false);
+  assert.equal(available("2026-10-22", "14:30"), true); // every other Thursday
+  assert.equal(available("2026-11-26", "14:30"), false);
+  assert.equal(available("2026-12-10", "14:30"), true); // past UNTIL
+
+  assert.equal(available("2026-10-28", "16:00"), false);
+  assert.equal(available("2026-10-29", "16:00"), true); // past COUNT=3
+});
+
+test("lists each occurrence in a day's busy times", () => {
+  const { busy, note } = checkAvailability(FILE, { date: "2026-10-29" }, TZ);
+  assert.deepEqual(
+    busy.map((b) => b.start),
+    ["Thu, Oct 29, 9:00 AM MDT", "Thu, Oct 29, 2:00 PM MDT"]
+  );
+  assert.equal(note, undefined);
+});
+
+test("answers unknown rather than free when a repeating event can't be expanded", () => {
+  const file = path.join(dir, "monthly.ics");
+  fs.writeFileSync(
+    file,
+    [
+      "BEGIN:VCALENDAR",
+      "BEGIN:VEVENT",
+      "DTSTART;TZID=America/Denver:20261015T120000",
+      "DTEND;TZID=America/Denver:20261015T130000",
+      "RRULE:FREQ=MONTHLY;BYMONTHDAY=15",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ].join("\r\n")
+  );
+
+  const slot = checkAvailability(file, { date: "2026-11-16", time: "12:00" }, TZ);
+  assert.equal(slot.available, "unknown");
+  assert.match(slot.note, /may be busy/);
+  assert.equal(available("2026-10-15", "12:00", file), false); // the first occurrence is still known
+  assert.equal(available("2026-10-14", "12:00", file), true); // before the series starts
+
+  assert.match(checkAvailability(file, { date: "2026-11-16" }, TZ).note, /may be busy/);
+});
@@ -0,0 +1,1341 @@
+// End-to-end call flow with no network: a chat command places a call through
+// the fake Twilio REST API, the fake Media Stream connects with the TwiML it
+// was given, and the fake Realtime API plays the assistant's side.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  waitFor,
+  startStubServer,
+  startFakeRealtime,
+  parseStreamTwiml,
+  FakeTwilioStream,
+  startRelaybot,
+} from "./helpers/fakes.js";
+import { twilioSignature } from "../lib/auth.js";
+
+const SUMMARY = "Pat heard that the results are ready and said thanks.";
+
+let groupme;
+let twilioApi;
+let openaiApi;
+let realtime;
+let relaybot;
+let callCount = 0;
+// While set, the fake Twilio API answers every request with it: { drop: true }
+// or an error such as { status: 500, body }. Such requests are marked `failed`.
+let twilioFailure = null;
+let chatDelayMs = 0; // how long the fake GroupMe API takes to answer a post
+
+function fakeCompletion(messages) {
+  const system = messages[0].content;
+  if (/Translate phone-call text/.test(system)) {
+    return JSON.stringify({ message: "Los resultados están listos.", opening: "Hola, habla la asistente de Oscar." });
+  }
+  if (/Translate each line/.test(system)) {
+    return JSON.stringify({ lines: JSON.parse(messages[1].content).map((line) => `EN ${line}`) });
+  }
+  if (/phone call plan/.test(system)) {
+    const request = messages[1].content;
+    if (!/running late/.test(request)) return JSON.stringify({ call: false });
+    return JSON.stringify({
+      call: true,
+      target: "Robin",
+      message: "Oscar is running late",
+      mode: "message",
+      time: /Change: make it tomorrow at 9am/.test(request) ? "tomorrow at 9am" : null,
+      language: null,
+    });
+  }
+  if (/extract phone messages/.test(system)) {
+    return JSON.stringify({
+      name: "Jordan Diaz",
+      callback_number: "4355559876",
+      reason: "the roof quote",
+      message: "Jordan has the roof quote ready and wants to go over it.",
+    });
+  }
+  if (/answers to a list of questions/.test(system)) {
+    return JSON.stringify({ answers: [null, null] });
+  }
+  if (/outcome of a phone call/.test(system)) {
+    return JSON.stringify({
+      delivered: true,
+      reply: "Thanks, I'll call back Friday.",
+      callback_requested: true,
+      callback_when: "tomorrow at 3pm",
+      commitments: ["Pat will call back tomorrow at 3pm"],
+      disposition: "callback_requested",
+    });
+  }
+  return SUMMARY;
+}
+
+before(async () => {
+  groupme = await startStubServer(async () => {
+    if (chatDelayMs) await new Promise((resolve) => setTimeout(resolve, chatDelayMs));
+  });
+  twilioApi = await startStubServer((req) => {
+    if (twilioFailure) {
+      req.failed = true;
+      return twilioFailure;
+    }
+    return req.url.endsWith("/Calls.json") ? { status: 201, body: { sid: `CA${++callCount}`, status: "queued" } } : {};
+  });
+  openaiApi = await startStubServer((req) => ({
+    body: { choices: [{ message: { role: "assistant", content: fakeCompletion(req.body.messages) } }] },
+  }));
+  realtime = await startFakeRealtime();
+
+  relaybot = await startRelaybot({
+    OPENAI_API_KEY: "sk-test",
+    OPENAI_API_BASE: `${openaiApi.url}/v1`,
+    OPENAI_REALTIME_URL: realtime.url,
+    TWILIO_API_BASE: twilioApi.url,
+    TWILIO_ACCOUNT_SID: "ACtest",
+    TWILIO_AUTH_TOKEN: "twilio-secret",
+    GROUPME_API_BASE: groupme.url,
+    GROUPME_BOT_ID: "bot-test",
+    GROUPME_ALLOWED_GROUP_IDS: "g1",
+    AMD_ENABLED: "0",
+    HANGUP_DRAIN_MS: "200",
+    PERSONAS_FILE: "personas.example.json",
+    OWNER_PHONE: "4355550000",
+    CALENDAR_ICS: "test/fixtures/calendar.ics",
+    TIMEZONE: "America/Denver",
+    API_TOKEN: "api-secret",
+    ADMIN_USER_IDS: "u-admin",
+    QUIET_HOURS: "off",
+    CALL_LIMIT_PER_NUMBER: "2",
+    CALL_LIMIT_PER_REQUESTER: "100",
+    MONTHLY_BUDGET_USD: "1",
+    REALTIME_RETRY_BASE_MS: "20",
+    REALTIME_RETRIES: "2",
+  });
+});
+
+after(async () => {
+  await relaybot?.stop();
+  await Promise.all([groupme, twilioApi, openaiApi, realtime].map((s) => s?.close()));
+});
+
+function chatPosts(since = 0) {
+  return groupme.requests.slice(since).map((r) => r.body.text);
+}
+
+function waitForPost(pattern, since = 0) {
+  return waitFor(() => chatPosts(since).find((text) => pattern.test(text)), { what: `chat post ${pattern}` });
+}
+
+// The model asking for a tool, then finishing its response
+function callTool(oai, name, args, responseId = `resp_${name}`) {
+  oai.send({ type: "response.function_call_arguments.done", response_id: responseId, call_id: `call_${name}`, name, arguments: JSON.stringify(args) });
+  oai.send({ type: "response.done", response: { id: responseId } });
+}
+
+function toolOutput(oai, name) {
+  const item = oai.ofType("conversation.item.create").find((e) => e.item.call_id === `call_${name}`);
+  return item && JSON.parse(item.item.output);
+}
+
+function redirectRequest(callSid) {
+  return twilioApi.requests.find((r) => r.url.endsWith(`/Calls/${callSid}.json`) && r.body.Twiml && !r.failed);
+}
+
+// A Twilio webhook, signed like Twilio would
+async function postTwilio(path, fields) {
+  const res = await fetch(`${relaybot.url}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "X-Twilio-Signature": twilioSignature("twilio-secret", `https://127.0.0.1:${relaybot.port}${path}`, fields),
+    },
+    body: new URLSearchParams(fields),
+  });
+  return { status: res.status, twiml: await res.text() };
+}
+
+// Twilio's Dial action once the owner's leg has ended
+function postDialResult(callId, fields) {
+  return postTwilio(`/twilio/transfer?call=${callId}`, fields);
+}
+
+function hangupRequest(callSid) {
+  return twilioApi.requests.find((r) => r.url.endsWith(`/Calls/${callSid}.json`) && r.body.Status === "completed" && !r.failed);
+}
+
+function api(path, options = {}) {
+  return fetch(`${relaybot.url}${path}`, { ...options, headers: { Authorization: "Bearer api-secret" } });
+}
+
+function sendCommand(text, { userId = "u1", name = "Oscar" } = {}) {
+  return fetch(`${relaybot.url}/groupme`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text, user_id: userId, group_id: "g1", name }),
+  });
+}
+
+// Sends a call command and confirms the plan echoed back (OPENAI_API_KEY is set)
+async function confirmCommand(text, options) {
+  const posted = groupme.requests.length;
+  await sendCommand(text, options);
+  await waitForPost(/📝 Here's the plan/, posted);
+  await sendCommand("yes", options);
+}
+
+// Sends a GroupMe command and connects the media stream for the call it places
+async function placeCall(text) {
+  const placed = twilioApi.requests.length;
+  const posted = groupme.requests.length;
+  await confirmCommand(text);
+
+  const create = await waitFor(() => twilioApi.requests.slice(placed).find((r) => r.url.endsWith("/Calls.json")), {
+    what: "Twilio call to be placed",
+  });
+  const { callSid, stream, oai, streamUrl } = await connectStream(create);
+  return { create, callSid, stream, oai, streamUrl, posted };
+}
+
+// The sid the fake Twilio API gave the call it created with `create`
+function sidFor(create) {
+  return `CA${twilioApi.requests.filter((r) => r.url.endsWith("/Calls.json") && !r.failed).indexOf(create) + 1}`;
+}
+
+// Answers the call Twilio was asked to place: the media stream connects
+async function connectStream(create) {
+  const callSid = sidFor(create);
+  const { url, params } = parseStreamTwiml(create.body.Twiml);
+
+  const realtimeCount = realtime.connections.length;
+  const stream = new FakeTwilioStream(`ws://127.0.0.1:${relaybot.port}${new URL(url).pathname}`);
+  await stream.connect();
+  stream.start({ callSid, streamSid: `MZ${callSid.slice(2)}`, customParameters: params });
+
+  const oai = await waitFor(() => realtime.connections[realtimeCount], { what: "Realtime connection" });
+  await waitFor(() => oai.ofType("response.create").length, { what: "opening response" });
+
+  return { callSid, stream, oai, streamUrl: url };
+}
+
+test("places the call with a signed stream URL and the prompt as a parameter", async () => {
+  const { create, stream, oai, streamUrl, posted } = await placeCall(
+    "call 4355551212 and tell Pat the results are ready"
+  );
+
+  assert.equal(create.body.To, "+14355551212");
+  assert.match(streamUrl, /^wss:\/\/[^/]+\/twilio\/[\w-]+\.[\w-]+$/);
+  assert.match(oai.headers.authorization, /^Bearer sk-test$/);
+  assert.match(oai.url, /model=gpt-4o-mini-realtime-preview/);
+  assert.match(oai.ofType("session.update").at(-1).session.instructions, /results are ready/);
+  await waitForPost(/Calling \+14355551212 now/, posted);
+
+  // Caller audio is forwarded to the model
+  stream.media("AAAA");
+  await waitFor(() => oai.ofType("input_audio_buffer.append").some((e) => e.audio === "AAAA"), {
+    what: "caller audio to reach the model",
+  });
+
+  stream.stop();
+  await waitForPost(/📄 Full transcript/, posted);
+  stream.close();
+});
+
+test("a stream token only works once", async () => {
+  const { stream, streamUrl, posted } = await placeCall("call 4355551213 and say hello");
+
+  const replay = new FakeTwilioStream(`ws://127.0.0.1:${relaybot.port}${new URL(streamUrl).pathname}`);
+  await assert.rejects(replay.connect(), /HTTP 401/);
+
+  stream.stop();
+  await waitForPost(/📄 Full transcript/, posted);
+  stream.close();
+});
+
+test("records the prompt of a stream Twilio started from GET /twiml", async () => {
+  const path = "/twiml?prompt=the%20gate%20code%20is%204411&to=%2B14355551290";
+  const res = await fetch(`${relaybot.url}${path}`, {
+    headers: { "X-Twilio-Signature": twilioSignature("twilio-secret", `https://127.0.0.1:${relaybot.port}${path}`, {}) },
+  });
+  const { url, params } = parseStreamTwiml(await res.text());
+
+  const posted = groupme.requests.length;
+  const stream = new FakeTwilioStream(`ws://127.0.0.1:${relaybot.port}${new URL(url).pathname}`);
+  await stream.connect();
+  stream.start({ callSid: "CAdirect1", streamSid: "MZdirect1", customParameters: params });
+  await waitForPost(/Call connected to \+14355551290/, posted);
+
+  const { calls } = await (await api("/api/calls?number=4355551290")).json();
+  assert.equal(calls[0].prompt, "the gate code is 4411");
+  stream.stop();
+  await waitForPost(/📄 Full transcript/, posted);
+  stream.close();
+});
+
+test("caller speech interrupts the assistant (barge-in)", async () => {
+  const { stream, oai, posted } = await placeCall("call 4355551214 and tell Sam the car is ready");
+
+  oai.send({ type: "response.created", response: { id: "resp_barge" } });
+  oai.send({ type: "response.audio.delta", delta: "c3BlYWtpbmc=" });
+  await waitFor(() => stream.ofEvent("media").length === 1, { what: "assistant audio" });
+
+  oai.send({ type: "input_audio_buffer.speech_started" });
+
+  await waitFor(() => stream.ofEvent("clear").length, { what: "Twilio playback to be cleared" });
+  const cancel = await waitFor(() => oai.ofType("response.cancel")[0], { what: "response.cancel" });
+  assert.equal(cancel.response_id, "resp_barge");
+
+  // The rest of the interrupted response is dropped
+  oai.send({ type: "response.audio.delta", delta: "bGF0ZQ==" });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(stream.ofEvent("media").length, 1);
+
+  stream.stop();
+  await waitForPost(/📄 Full transcript/, posted);
+  stream.close();
+});
+
+test("hangs up on end_call once the goodbye has played, then posts transcript and summary", async () => {
+  const { callSid, stream, oai, posted } = await placeCall("call 4355551215 and tell Pat the results are ready");
+
+  oai.send({ type: "response.created", response: { id: "resp_1" } });
+  oai.send({ type: "response.audio.delta", delta: "aGVsbG8=" });
+  oai.send({ type: "response.audio_transcript.delta", delta: "Hi Pat, your results are ready." });
+  oai.send({ type: "response.done", response: { id: "resp_1" } });
+  oai.send({
+    type: "conversation.item.input_audio_transcription.completed",
+    item_id: "item_1",
+    transcript: "Great, thanks so much.",
+  });
+  oai.send({ type: "response.created", response: { id: "resp_2" } });
+  oai.send({ type: "response.audio.delta", delta: "Ynll" });
+  oai.send({ type: "response.audio_transcript.delta", delta: "You're welcome. Goodbye!" });
+
+  // Saying goodbye alone does not hang up; the end_call tool does
+  await new Promise((resolve) => setTimeout(resolve, 400));
+  assert.equal(hangupRequest(callSid), undefined);
+
+  callTool(oai, "end_call", { reason: "message delivered" }, "resp_2");
+  await waitFor(() => hangupRequest(callSid), { what: "hang-up request" });
+  assert.deepEqual(toolOutput(oai, "end_call"), { ok: true });
+
+  stream.stop();
+  const transcript = await waitForPost(/📄 Full transcript/, posted);
+  const lines = transcript.split("\n").slice(1);
+  assert.deepEqual(lines.slice(-3), [
+    "Assistant: Hi Pat, your results are ready.",
+    "Caller: Great, thanks so much.",
+    "Assistant: You're welcome. Goodbye!",
+  ]);
+
+  const summary = await waitForPost(/📝 Call summary/, posted);
+  assert.match(summary, new RegExp(SUMMARY));
+
+  const card = await waitForPost(/📋 Outcome: callback requested/, posted);
+  assert.match(card, /Delivered: yes/);
+  assert.match(card, /Reply: "Thanks, I'll call back Friday\."/);
+  assert.match(card, /Callback: requested — tomorrow at 3pm \(/);
+
+  const history = await (await api(`/api/calls/${callSid}`)).json();
+  assert.equal(history.summary, SUMMARY);
+  assert.equal(history.transcriptEntries.length, 3);
+  assert.equal(history.outcome.callbackRequested, true);
+  assert.equal(history.outcome.disposition, "callback_requested");
+  assert.ok(Date.parse(history.outcome.callbackAt));
+
+  const { calls } = await (await api("/api/calls?callback=1")).json();
+  assert.ok(calls.some((c) => c.callSid === callSid));
+  stream.close();
+});
+
+test("speaks for the persona chosen with \"as <name>:\"", async () => {
+  const { callSid, stream, oai, posted } = await placeCall("as Maria: call 4355551216 and tell Lee dinner is at 7");
+
+  await waitForPost(/Calling \+14355551216 now as Maria's assistant/, posted);
+  assert.equal(oai.ofType("session.update")[0].session.voice, "shimmer");
+
+  const script = oai.ofType("session.update").at(-1).session.instructions;
+  assert.match(script, /relay this message from Maria: "Lee dinner is at 7"/);
+  assert.match(script, /"Hi, this is Maria's assistant calling\./);
+
+  assert.match(script, /goodbye \(for example 'goodbye', 'take care', 'have a good one'\)/);
+
+  callTool(oai, "end_call", {});
+  await waitFor(() => hangupRequest(callSid), { what: "hang-up request" });
+
+  stream.stop();
+  await waitForPost(/📄 Full transcript/, posted);
+  stream.close();
+});
+
+test("holds the call in the language asked for and translates the transcript", async () => {
+  const { callSid, stream, oai, posted } = await placeCall(
+    "call 4355551217 in Spanish and tell Ana the results are ready"
+  );
+
+  await waitForPost(/Calling \+14355551217 now.* in Spanish/, posted);
+  assert.equal(oai.ofType("session.update")[0].session.input_audio_transcription.language, "es");
+
+  const script = oai.ofType("session.update").at(-1).session.instructions;
+  assert.match(script, /Latin American Spanish/);
+  assert.match(script, /"Los resultados están listos\."/);
+  assert.match(script, /"Hola, habla la asistente de Oscar\."/);
+
+  assert.match(script, /'adiós'/);
+
+  oai.send({ type: "response.created", response: { id: "resp_es" } });
+  oai.send({ type: "response.audio.delta", delta: "Ynll" });
+  oai.send({ type: "response.audio_transcript.delta", delta: "Gracias, ¡adiós!" });
+  callTool(oai, "end_call", {}, "resp_es");
+  await waitFor(() => hangupRequest(callSid), { what: "hang-up request" });
+
+  stream.stop();
+  const transcript = await waitForPost(/📄 Full transcript/, posted);
+  assert.match(transcript, /Assistant: Gracias, ¡adiós! \(English: EN Gracias, ¡adiós!\)/);
+  stream.close();
+});
+
+test("answers availability, saves the reply and transfers to the owner through tools", async () => {
+  const { callSid, stream, oai, posted } = await placeCall("call 4355551218 and tell Pat the forms are signed");
+
+  const offered = oai.ofType("session.update").at(-1).session.tools.map((t) => t.name);
+  assert.deepEqual(offered.sort(), ["check_availability", "end_call", "record_reply_message", "transfer_to_owner"]);
+
+  callTool(oai, "check_availability", { date: "2026-10-20", time: "15:30" });
+  const busy = await waitFor(() => toolOutput(oai, "check_availability"), { what: "availability output" });
+  assert.equal(busy.available, false);
+  assert.equal(JSON.stringify(busy).includes("Dentist"), false);
+  // The model is asked to speak once the response that called the tool is done
+  await waitFor(() => oai.ofType("response.create").length === 2, { what: "follow-up response" });
+
+  oai.send({
+    type: "conversation.item.input_audio_transcription.completed",
+    item_id: "item_reply",
+    transcript: "Tell him to send the originals by mail, and call me Friday morning.",
+  });
+  callTool(oai, "record_reply_message", {
+    message: "Please send the originals by mail",
+    callback_requested: true,
+    callback_when: "Friday morning",
+  });
+  await waitForPost(/✉️ Reply for Oscar from \+14355551218: "Please send the originals by mail"\n📞 Wants a callback: Friday morning/, posted);
+
+  // A slow chat post must not let the call be redirected before the handoff line
+  chatDelayMs = 800;
+  try {
+    callTool(oai, "transfer_to_owner", { reason: "questions about the forms" });
+    await waitForPost(/🔀 \+14355551218 asked to talk to Oscar \(questions about the forms\); transferring to \+14355550000/, posted);
+    assert.ok(toolOutput(oai, "transfer_to_owner").ok);
+
+    // The handoff line the server asked for
+    await waitFor(() => oai.ofType("response.create").length === 4, { what: "handoff response" });
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    assert.equal(redirectRequest(callSid), undefined);
+  } finally {
+    chatDelayMs = 0;
+  }
+  oai.send({ type: "response.created", response: { id: "resp_handoff" } });
+  oai.send({ type: "response.audio.delta", delta: "Y29ubmVjdGluZw==" });
+  oai.send({ type: "response.done", response: { id: "resp_handoff" } });
+
+  const redirect = await waitFor(() => redirectRequest(callSid), { what: "transfer redirect" });
+  const [, callId] = redirect.body.Twiml.match(/<Dial action="[^"]+\/twilio\/transfer\?call=(\d+)" timeout="25">\+14355550000<\/Dial>/);
+
+  stream.stop();
+  // Earlier calls' cards can still be arriving; this call's reply came from the tool
+  const card = await waitForPost(/📋 Outcome[^]*originals/, posted);
+  assert.match(card, /Callback: requested — Friday morning/);
+  stream.close();
+
+  const result = await postDialResult(callId, { DialCallStatus: "completed", DialCallDuration: "95" });
+  assert.equal(result.status, 200);
+  assert.match(result.twiml, /<Hangup\/>/);
+  await waitForPost(new RegExp(`🔀 Call ${callId}: Transfer to Oscar: connected for 1m 35s`), posted);
+
+  // The record is written once the summary is done, which can be after the card
+  const record = await waitFor(
+    async () => {
+      const r = await (await api(`/api/calls/${callId}`)).json();
+      return r.summary && r;
+    },
+    { what: "call record with its summary" }
+  );
+  assert.equal(record.transfer.status, "completed");
+  assert.equal(record.transfer.by, "assistant");
+  const system = record.transcriptEntries.filter((e) => e.speaker === "System").map((e) => e.text);
+  assert.deepEqual(system, [
+    "Transferring to Oscar (+14355550000): questions about the forms",
+    "Transfer to Oscar: connected for 1m 35s",
+  ]);
+  const times = record.transcriptEntries.map((e) => e.time);
+  assert.deepEqual(times, [...times].sort((a, b) => a - b));
+  const lines = record.transcriptEntries.map((e) => `${e.speaker}: ${e.text}`);
+  assert.equal(new Set(lines).size, lines.length);
+});
+
+test("join from chat has the assistant hand off, then apologizes when the owner does not answer", async () => {
+  const { callSid, stream, oai, posted } = await placeCall("call 4355551219 and tell Pat the car is ready");
+  const label = (await waitForPost(/Call connected to \+14355551219/, posted)).match(/^\[(#\d+)\]/)[1];
+  const responses = oai.ofType("response.create").length;
+
+  chatDelayMs = 800; // the handoff is asked for before the slow chat post
+  try {
+    await sendCommand(`join ${label}`);
+    await waitForPost(/🔀 Oscar is joining; transferring to \+14355550000/, posted);
+
+    const notice = await waitFor(
+      () => oai.ofType("conversation.item.create").find((e) => e.item.role === "system"),
+      { what: "handoff instruction" }
+    );
+    assert.match(notice.item.content[0].text, /Oscar is joining the call/);
+    await waitFor(() => oai.ofType("response.create").length === responses + 1, { what: "handoff response" });
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    assert.equal(redirectRequest(callSid), undefined);
+  } finally {
+    chatDelayMs = 0;
+  }
+  oai.send({ type: "response.created", response: { id: "resp_join" } });
+  oai.send({ type: "response.audio.delta", delta: "Y29ubmVjdGluZw==" });
+  oai.send({ type: "response.done", response: { id: "resp_join" } });
+
+  const redirect = await waitFor(() => redirectRequest(callSid), { what: "join redirect" });
+  const [, callId] = redirect.body.Twiml.match(/transfer\?call=(\d+)/);
+  stream.stop();
+  stream.close();
+
+  const result = await postDialResult(callId, { DialCallStatus: "no-answer" });
+  assert.match(result.twiml, /<Say>Sorry, Oscar could not be reached right now\./);
+  await waitForPost(new RegExp(`🔀 Call ${callId}: Transfer to Oscar: not connected \\(no-answer\\)`), posted);
+});
+
+test("steers a live call from chat: say, ask, wrap up and hang up", async () => {
+  const { callSid, stream, oai, posted } = await placeCall("call 4355551220 and tell Pat dinner is at 7");
+  const label = (await waitForPost(/Call connected to \+14355551220/, posted)).match(/^\[(#\d+)\]/)[1];
+  const notes = () => oai.ofType("conversation.item.create").filter((e) => e.item.role === "system");
+  const responses = () => oai.ofType("response.create").length;
+
+  const before = responses();
+  await sendCommand(`say ${label}: bring the salad`);
+  await waitForPost(/🗣️ Will pass that on/, posted);
+  assert.match(notes().at(-1).item.content[0].text, /pass on, in your own words.*"bring the salad"/);
+  await waitFor(() => responses() === before + 1, { what: "response for say" });
+  oai.send({ type: "response.created", response: { id: "resp_say" } });
+  oai.send({ type: "response.done", response: { id: "resp_say" } });
+
+  // While the caller is talking, the note waits for their turn to end
+  oai.send({ type: "input_audio_buffer.speech_started" });
+  await sendCommand(`ask ${label}: can they pick up bread?`);
+  await waitForPost(/❓ Will ask/, posted);
+  assert.match(notes().at(-1).item.content[0].text, /ask them this.*"can they pick up bread\?"/);
+  assert.equal(responses(), before + 1);
+  oai.send({ type: "input_audio_buffer.speech_stopped" });
+
+  await sendCommand(`wrap up ${label}`);
+  await waitForPost(/👋 Wrapping up/, posted);
+  assert.match(notes().at(-1).item.content[0].text, /wrap up now.*end_call/);
+  await waitFor(() => responses() === before + 2, { what: "response for wrap up" });
+
+  // Twilio refuses the first hang-up; chat hears about it
+  twilioFailure = { status: 500, body: { code: 20500, message: "Internal Server Error" } };
+  try {
+    await sendCommand(`hang up ${label}`);
+    await waitForPost(new RegExp(`^\\[${label}\\] ⚠️ Twilio could not end the call: Twilio answered 500: Internal Server Error$`), posted);
+  } finally {
+    twilioFailure = null;
+  }
+  assert.equal(chatPosts(posted).filter((t) => /📴 Hanging up/.test(t)).length, 0);
+
+  await sendCommand(`hang up ${label}`);
+  await waitForPost(/📴 Hanging up/, posted);
+  await waitFor(() => hangupRequest(callSid), { what: "hangup of that call" });
+
+  stream.stop();
+  const transcript = await waitForPost(/📄 Full transcript:\nSystem: From chat \(say\)/, posted);
+  assert.match(transcript, /System: From chat \(ask\): can they pick up bread\?/);
+  assert.match(transcript, /System: Asked from chat to wrap up/);
+  assert.equal(transcript.match(/System: Hung up from chat/g).length, 1);
+  stream.close();
+});
+
+test("keeps two calls at once apart: labels, captions and transcripts, and lists both under calls", async () => {
+  const first = await placeCall("call 4355551310 and tell Pat the boiler is fixed");
+  const second = await placeCall("call 4355551311 and tell Sam the roof is done");
+  const a = (await waitForPost(/Call connected to \+14355551310/, first.posted)).match(/^\[(#\d+)\]/)[1];
+  const b = (await waitForPost(/Call connected to \+14355551311/, second.posted)).match(/^\[(#\d+)\]/)[1];
+  assert.notEqual(a, b);
+
+  const posted = groupme.requests.length;
+  await sendCommand("calls");
+  const list = await waitForPost(/^Active calls/, posted);
+  assert.match(list, /^Active calls \(2\):/);
+  assert.match(list, new RegExp(`^${a} \\+14355551310 — .+ — ".*boiler is fixed"$`, "m"));
+  assert.match(list, new RegExp(`^${b} \\+14355551311 — .+ — ".*roof is done"$`, "m"));
+
+  // Both calls talk at once, even reusing an item id
+  first.oai.send({ type: "response.audio_transcript.delta", delta: "The boiler is fixed." });
+  second.oai.send({ type: "response.audio_transcript.delta", delta: "The roof is done." });
+  first.oai.send({ type: "conversation.item.input_audio_transcription.completed", item_id: "item_1", transcript: "Thanks for fixing it." });
+  second.oai.send({ type: "conversation.item.input_audio_transcription.completed", item_id: "item_1", transcript: "Great, the roof looks good." });
+
+  const captions = () => chatPosts(posted).filter((text) => /^\[#\d+\] (Assistant|Caller): /.test(text));
+  await waitFor(() => captions().length === 4, { what: "captions of both calls" });
+  assert.deepEqual(captions().sort(), [
+    `[${a}] Assistant: The boiler is fixed.`,
+    `[${a}] Caller: Thanks for fixing it.`,
+    `[${b}] Assistant: The roof is done.`,
+    `[${b}] Caller: Great, the roof looks good.`,
+  ].sort());
+
+  first.stream.stop();
+  second.stream.stop();
+  const transcriptOf = async (label) => {
+    const text = await waitForPost(new RegExp(`^\\[${label}\\] 📄 Full transcript`), posted);
+    return text.split("\n").slice(1);
+  };
+  const firstLines = await transcriptOf(a);
+  const secondLines = await transcriptOf(b);
+  assert.deepEqual(firstLines.slice(-2), ["Assistant: The boiler is fixed.", "Caller: Thanks for fixing it."]);
+  assert.deepEqual(secondLines.slice(-2), ["Assistant: The roof is done.", "Caller: Great, the roof looks good."]);
+  assert.ok(!firstLines.some((line) => /roof/.test(line)));
+  assert.ok(!secondLines.some((line) => /boiler/.test(line)));
+  first.stream.close();
+  second.stream.close();
+});
+
+test("records both sides to a stereo WAV behind a signed link", async () => {
+  const { stream, oai, posted } = await placeCall("call 4355551221 and tell Pat the package arrived");
+
+  // 100 ms of caller audio at 1 s in, and 50 ms of assistant audio
+  const ulaw = (byte, samples) => Buffer.alloc(samples, byte).toString("base64");
+  stream.send({ event: "media", streamSid: stream.streamSid, media: { track: "inbound", timestamp: "1000", payload: ulaw(0x10, 800) } });
+  oai.send({ type: "response.created", response: { id: "resp_rec" } });
+  oai.send({ type: "response.audio.delta", delta: ulaw(0x90, 400) });
+  oai.send({ type: "response.done", response: { id: "resp_rec" } });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  stream.stop();
+  const post = await waitForPost(/🎧 Recording/, posted);
+  const link = new URL(post.match(/https:\/\/\S+/)[0]);
+  assert.match(link.pathname, /^\/api\/calls\/\d+\/recording$/);
+  stream.close();
+
+  const res = await fetch(`${relaybot.url}${link.pathname}${link.search}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "audio/wav");
+  const wav = Buffer.from(await res.arrayBuffer());
+  assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+  assert.equal(wav.readUInt16LE(22), 2); // stereo
+  assert.equal(wav.readUInt32LE(24), 8000);
+
+  // Caller on the left from 1 s; the assistant on the right
+  const sample = (index, channel) => wav.readInt16LE(44 + index * 4 + channel * 2);
+  assert.equal(sample(7999, 0), 0);
+  assert.notEqual(sample(8000, 0), 0);
+  assert.ok(Array.from({ length: wav.readUInt32LE(40) / 4 }, (_, i) => sample(i, 1)).some((v) => v !== 0));
+
+  assert.equal((await fetch(`${relaybot.url}${link.pathname}`)).status, 401);
+  assert.equal((await fetch(`${relaybot.url}${link.pathname}?expires=${Date.now() + 60000}&sig=forged`)).status, 401);
+
+  assert.equal((await fetch(`${relaybot.url}${link.pathname}${link.search}`, { method: "DELETE" })).status, 401);
+  assert.equal((await fetch(`${relaybot.url}${link.pathname}`, { method: "DELETE" })).status, 401);
+  assert.equal((await api(link.pathname, { method: "DELETE" })).status, 204);
+  assert.equal((await api(link.pathname)).status, 404);
+  const callId = link.pathname.split("/")[3];
+  assert.equal((await (await api(`/api/calls/${callId}`)).json()).recording, null);
+});
+
+test("asks a list of questions and returns an answer per question", async () => {
+  const { create, stream, oai, posted } = await placeCall(
+    "call 4355551222 and ask: is the prescription ready? what time do they close"
+  );
+  const { params } = parseStreamTwiml(create.body.Twiml);
+  assert.equal(params.goal, "questions");
+  await waitForPost(/Calling \+14355551222 now .*asking: "is the prescription ready\? what time do they close"/, posted);
+
+  const update = oai.ofType("session.update").at(-1).session;
+  assert.match(update.instructions, /1\. is the prescription ready\?\n2\. what time do they close\?/);
+  assert.ok(update.tools.some((t) => t.name === "record_answer"));
+
+  callTool(oai, "record_answer", { question_number: 1, answer: "Yes, ready after 2pm" });
+  await waitForPost(/✅ 1\. is the prescription ready\? → Yes, ready after 2pm/, posted);
+  assert.deepEqual(toolOutput(oai, "record_answer"), { ok: true, unanswered: [2] });
+
+  oai.send({
+    type: "conversation.item.input_audio_transcription.completed",
+    item_id: "item_pharmacy",
+    transcript: "Yes it will be ready after two. Sorry, I have to go.",
+  });
+  stream.stop();
+
+  const card = await waitForPost(/❓ Answers from \+14355551222/, posted);
+  assert.match(card, /1\. is the prescription ready\?\n {3}→ Yes, ready after 2pm/);
+  assert.match(card, /2\. what time do they close\?\n {3}→ ⚠️ unanswered/);
+  stream.close();
+
+  const { calls } = await (await api("/api/calls?number=4355551222")).json();
+  const record = await (await api(`/api/calls/${calls[0].id}`)).json();
+  assert.equal(record.goal, "questions");
+  assert.deepEqual(record.answers, [
+    { question: "is the prescription ready?", answer: "Yes, ready after 2pm", confirmed: true },
+    { question: "what time do they close?", answer: null, confirmed: false },
+  ]);
+  assert.equal(record.outcome.disposition, "incomplete");
+  assert.equal(record.summary, "1 of 2 questions answered.");
+});
+
+test("broadcasts to a group a few calls at a time and posts one report", async () => {
+  const posted = groupme.requests.length;
+  await sendCommand("add group crew: 4355551230, 4355551231 and 4355551232");
+  await waitForPost(/Added group crew \(3\): \+14355551230, \+14355551231, \+14355551232/, posted);
+
+  const placed = twilioApi.requests.length;
+  const creates = () => twilioApi.requests.slice(placed).filter((r) => r.url.endsWith("/Calls.json"));
+  await confirmCommand("call crew and tell practice is cancelled");
+  await waitForPost(/📣 Broadcast \d+: calling 3 people \(2 at a time\) and saying: "practice is cancelled"/, posted);
+
+  // Two at a time
+  const [first, second] = await waitFor(() => creates().length === 2 && creates(), { what: "first two calls" });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(creates().length, 2);
+
+  const { stream, oai } = await connectStream(first);
+  oai.send({
+    type: "conversation.item.input_audio_transcription.completed",
+    item_id: "item_crew",
+    transcript: "Oh no, okay. Thanks for letting me know, I'll call back Friday.",
+  });
+  await postTwilio("/twilio/status", { CallSid: sidFor(second), CallStatus: "no-answer", To: second.body.To });
+
+  // A slot opened up
+  const third = await waitFor(() => creates()[2], { what: "third call" });
+  await postTwilio("/twilio/status", { CallSid: sidFor(third), CallStatus: "busy", To: third.body.To });
+  stream.stop();
+
+  const report = await waitForPost(/📣 Broadcast \d+ finished/, posted);
+  assert.match(report, /✅ Reached \(1\): \+14355551230/);
+  assert.match(report, /📵 No answer \(2\): \+14355551231, \+14355551232 \(busy\)/);
+  assert.match(report, /✉️ Replies:\n• \+14355551230: "Thanks, I'll call back Friday\."/);
+  stream.close();
+
+  // None of the per-call chatter
+  const chatter = chatPosts(posted).filter((t) => /Calling \+1435555123|Call connected|📄 Full transcript|📋 Outcome|did not answer|was busy/.test(t));
+  assert.deepEqual(chatter, []);
+});
+
+test("finishes broadcast recipients whose media stream closed without a stop", async () => {
+  const posted = groupme.requests.length;
+  await sendCommand("add group pair: 4355551300 and 4355551301");
+  await waitForPost(/Added group pair \(2\)/, posted);
+
+  const placed = twilioApi.requests.length;
+  const creates = () => twilioApi.requests.slice(placed).filter((r) => r.url.endsWith("/Calls.json"));
+  await confirmCommand("call pair and tell the meeting moved to 4pm");
+  const [first, second] = await waitFor(() => creates().length === 2 && creates(), { what: "both calls" });
+
+  // The socket drops, then Twilio's final status comes in
+  const one = await connectStream(first);
+  one.stream.close();
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  await postTwilio("/twilio/status", { CallSid: one.callSid, CallStatus: "completed", To: first.body.To });
+
+  // The final status comes in while the stream is open, then the socket drops
+  const two = await connectStream(second);
+  await postTwilio("/twilio/status", { CallSid: two.callSid, CallStatus: "completed", To: second.body.To });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(chatPosts(posted).filter((t) => /📣 Broadcast \d+ finished/.test(t)).length, 0);
+  two.stream.close();
+
+  // Connected calls with no outcome count as reached
+  const report = await waitForPost(/📣 Broadcast \d+ finished: "the meeting moved to 4pm"/, posted);
+  assert.match(report, /✅ Reached \(2\): \+14355551300, \+14355551301/);
+  assert.doesNotMatch(report, /No answer/);
+});
+
+test("refuses emergency, premium, do-not-call and over-limit numbers unless an admin overrides", async () => {
+  const posted = groupme.requests.length;
+  const placed = twilioApi.requests.length;
+  const creates = () => twilioApi.requests.slice(placed).filter((r) => r.url.endsWith("/Calls.json"));
+
+  await sendCommand("call 911 and tell them hello");
+  await waitForPost(/🚨 911 is an emergency number/, posted);
+
+  await sendCommand("call 19005551212 and tell them hello");
+  await waitForPost(/Not calling \+19005551212\. 💸 \+19005551212 is a 900 premium-rate number\.\nAn admin can send/, posted);
+
+  await sendCommand("dnc add 4355551240: asked not to be called");
+  await waitForPost(/🚫 Added \+14355551240 to the do-not-call list/, posted);
+  await sendCommand("call 4355551240 and tell them hello");
+  await waitForPost(/Not calling \+14355551240\. 🚫 \+14355551240 is on the do-not-call list \(asked not to be called\)/, posted);
+
+  await sendCommand("override: call 4355551240 and tell them hello");
+  await waitForPost(/🔒 Only an admin can override/, posted);
+  await sendCommand("dnc remove 4355551240");
+  await waitForPost(/🔒 Only an admin can take a number off/, posted);
+
+  await confirmCommand("override: call 4355551240 and tell them hello", { userId: "u-admin", name: "Ada" });
+  const overridden = await waitFor(() => creates()[0], { what: "overridden call" });
+  assert.equal(overridden.body.To, "+14355551240");
+  await postTwilio("/twilio/status", { CallSid: sidFor(overridden), CallStatus: "completed", To: "+14355551240" });
+
+  // CALL_LIMIT_PER_NUMBER=2 within the hour
+  for (let i = 1; i <= 2; i++) {
+    await confirmCommand("call 4355551241 and tell them hello");
+    const create = await waitFor(() => creates()[i], { what: `call ${i} to the same number` });
+    await postTwilio("/twilio/status", { CallSid: sidFor(create), CallStatus: "completed", To: "+14355551241" });
+  }
+  await sendCommand("call 4355551241 and tell them hello");
+  await waitForPost(/Not calling \+14355551241\. ⏳ \+14355551241 has been called 2 times in the last 60 minutes \(limit 2\)/, posted);
+
+  assert.equal(creates().length, 3);
+  await sendCommand("dnc");
+  await waitForPost(/🚫 Do not call \(1\):\n\+14355551240 \(asked not to be called\)/, posted);
+});
+
+test("reconnects a dropped Realtime socket, then falls back to <Say>/<Record> when it stays down", async () => {
+  const { callSid, stream, oai, posted } = await placeCall("call 4355551245 and tell Pat the keys are under the mat");
+  oai.send({ type: "conversation.item.input_audio_transcription.completed", item_id: "item_1", transcript: "Who is this?" });
+  oai.send({ type: "response.audio_transcript.delta", delta: "It's Oscar's assistant." });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  // The replacement socket gets the script, the call so far and a prompt to carry on
+  const count = realtime.connections.length;
+  oai.drop();
+  const resumed = await waitFor(() => realtime.connections[count], { what: "Realtime reconnect" });
+  await waitFor(() => resumed.ofType("response.create").length, { what: "resumed response" });
+  assert.match(resumed.ofType("session.update").at(-1).session.instructions, /keys are under the mat/);
+  const replayed = resumed.ofType("conversation.item.create").map((e) => [e.item.role, e.item.content[0].text]);
+  assert.deepEqual(replayed.slice(0, 2), [
+    ["user", "Who is this?"],
+    ["assistant", "It's Oscar's assistant."],
+  ]);
+  assert.match(replayed.at(-1)[1], /dropped/);
+
+  // Realtime stays down: Twilio reads the message and records the reply
+  realtime.refuse = true;
+  resumed.drop();
+  await waitForPost(/⚠️ The voice assistant is unavailable \(could not reconnect after 2 tries\); the message is being read out/, posted);
+  realtime.refuse = false;
+  const { Twiml } = (await waitFor(() => redirectRequest(callSid), { what: "fallback redirect" })).body;
+  assert.match(Twiml, /<Say>Hi, this is Oscar's assistant\. Oscar asked me to tell you: [^<]*keys are under the mat\./);
+  assert.match(Twiml, /<Record action="https:\/\/[^"]+\/twilio\/fallback\?call=[^"]+"/);
+
+  const { calls: [record] } = await (await api("/api/calls?number=4355551245")).json();
+  const reply = await postTwilio(`/twilio/fallback?call=${record.id}`, {
+    CallSid: callSid,
+    RecordingUrl: "https://api.twilio.com/rec/RE1",
+    RecordingDuration: "12",
+  });
+  assert.match(reply.twiml, /<Hangup\/>/);
+  await waitForPost(/🎙️ Call \d+: \+14355551245 left a recorded reply \(0m 12s\): https:\/\/api\.twilio\.com\/rec\/RE1/, posted);
+  await postTwilio(`/twilio/fallback?call=${record.id}&step=transcript`, {
+    TranscriptionStatus: "completed",
+    TranscriptionText: "Thanks, got it.",
+  });
+  await waitForPost(/✉️ Call \d+: recorded reply from \+14355551245: "Thanks, got it\."/, posted);
+
+  stream.stop();
+  await waitForPost(/📄 Full transcript/, posted);
+  stream.close();
+  const saved = await waitFor(async () => (await (await api(`/api/calls/${record.id}`)).json()).fallback?.transcript, {
+    what: "fallback saved on the record",
+  });
+  assert.equal(saved, "Thanks, got it.");
+});
+
+test("reads a free-form request into a plan and dials only after \"yes\"", async () => {
+  const posted = groupme.requests.length;
+  const placed = twilioApi.requests.length;
+  await sendCommand("add contact Robin 4355551247");
+  await waitForPost(/Added contact Robin/, posted);
+
+  await sendCommand("ring robin and let her know I'm running late");
+  await waitForPost(/📝 Here's the plan:\n• Call: Robin \(\+14355551247\)\n• When: now\n[^]*• Tell: "Oscar is running late"\nReply "yes"/, posted);
+
+  // Another person's "yes" does not confirm it, and only a plain yes does
+  await sendCommand("yes", { userId: "u2", name: "Sam" });
+  await waitForPost(/Nothing to confirm/, posted);
+  let since = groupme.requests.length;
+  await sendCommand("sure, go ahead");
+  await waitForPost(/📝 Here's the plan:\n• Call: Robin/, since);
+
+  // An edit is echoed back again; "no" drops the plan
+  since = groupme.requests.length;
+  await sendCommand("make it tomorrow at 9am");
+  await waitForPost(/📝 Here's the plan:\n• Call: Robin \(\+14355551247\)\n• When: \w{3}, \w{3} \d+, 9:00\sAM/, since);
+  await sendCommand("no");
+  await waitForPost(/👍 Dropped that call\./, since);
+  await sendCommand("yes");
+  await waitForPost(/Nothing to confirm/, since);
+  assert.equal(twilioApi.requests.slice(placed).filter((r) => r.url.endsWith("/Calls.json")).length, 0);
+
+  since = groupme.requests.length;
+  await sendCommand("ring robin and let her know I'm running late");
+  await waitForPost(/📝 Here's the plan/, since);
+  await sendCommand("yes");
+  const create = await waitFor(() => twilioApi.requests.slice(placed).find((r) => r.url.endsWith("/Calls.json")), {
+    what: "Twilio call to be placed",
+  });
+  assert.equal(create.body.To, "+14355551247");
+
+  const { stream, oai } = await connectStream(create);
+  assert.match(oai.ofType("session.update").at(-1).session.instructions, /Oscar is running late/);
+  stream.stop();
+  await waitForPost(/📄 Full transcript/, since);
+  stream.close();
+
+  await sendCommand("what's the weather");
+  await waitForPost(/Try: call 4355551212 and tell/, since);
+});
+
+// Follows GET /api/live, collecting { event, data } as they arrive
+async function openLiveStream() {
+  const controller = new AbortController();
+  const res = await fetch(`${relaybot.url}/api/live`, {
+    headers: { Authorization: "Bearer api-secret" },
+    signal: controller.signal,
+  });
+  const events = [];
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf("\n\n")) >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = block.match(/^event: (.+)$/m)?.[1];
+        if (event) events.push({ event, data: JSON.parse(block.match(/^data: (.+)$/m)[1]) });
+      }
+    }
+  })().catch(() => {}); // aborted
+  return { res, events, close: () => controller.abort() };
+}
+
+test("dashboard streams live calls and their transcripts, and hangs up or places calls", async () => {
+  assert.equal((await fetch(`${relaybot.url}/dashboard`)).status, 401);
+  const page = await fetch(`${relaybot.url}/dashboard?token=api-secret`);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /new EventSource\("\/api\/live\?token="/);
+
+  const live = await openLiveStream();
+  assert.match(live.res.headers.get("content-type"), /^text\/event-stream/);
+  await waitFor(() => live.events.find((e) => e.event === "calls"), { what: "live snapshot" });
+
+  // A call placed from the dashboard form
+  const placed = twilioApi.requests.length;
+  const posted = groupme.requests.length;
+  const bad = await fetch(`${relaybot.url}/api/calls`, {
+    method: "POST",
+    headers: { Authorization: "Bearer api-secret", "Content-Type": "application/json" },
+    body: JSON.stringify({ target: "911", message: "hi" }),
+  });
+  assert.equal(bad.status, 400);
+  assert.match((await bad.json()).error, /emergency number/);
+
+  const created = await fetch(`${relaybot.url}/api/calls`, {
+    method: "POST",
+    headers: { Authorization: "Bearer api-secret", "Content-Type": "application/json" },
+    body: JSON.stringify({ target: "4355551248", message: "the package arrived", language: "" }),
+  });
+  assert.equal(created.status, 201);
+  assert.equal((await created.json()).call.number, "+14355551248");
+  await waitForPost(/Calling \+14355551248 now/, posted);
+
+  const create = twilioApi.requests.slice(placed).find((r) => r.url.endsWith("/Calls.json"));
+  const { callSid, stream, oai } = await connectStream(create);
+  const call = await waitFor(() => live.events.find((e) => e.event === "call" && e.data.id === callSid), {
+    what: "call event",
+  });
+  assert.equal(call.data.prompt, "the package arrived");
+
+  oai.send({ type: "response.created", response: { id: "resp_dash" } });
+  oai.send({ type: "response.audio.delta", delta: "c3BlYWtpbmc=" });
+  await waitFor(() => live.events.find((e) => e.event === "call" && e.data.state === "speaking"), {
+    what: "speaking state",
+  });
+  oai.send({ type: "conversation.item.input_audio_transcription.completed", item_id: "item_dash", transcript: "Great, thanks!" });
+  const line = await waitFor(() => live.events.find((e) => e.event === "transcript" && e.data.id === callSid), {
+    what: "transcript event",
+  });
+  assert.deepEqual([line.data.speaker, line.data.text], ["Caller", "Great, thanks!"]);
+
+  // Twilio unreachable: both buttons answer 502 and the server stays up
+  twilioFailure = { drop: true };
+  try {
+    const failedCall = await fetch(`${relaybot.url}/api/calls`, {
+      method: "POST",
+      headers: { Authorization: "Bearer api-secret", "Content-Type": "application/json" },
+      body: JSON.stringify({ target: "4355551249", message: "the package arrived" }),
+    });
+    assert.equal(failedCall.status, 502);
+    assert.match((await failedCall.json()).error, /Twilio could not place the call/);
+
+    const failedHangup = await fetch(`${relaybot.url}/api/live/${callSid}/hangup`, {
+      method: "POST",
+      headers: { Authorization: "Bearer api-secret" },
+    });
+    assert.equal(failedHangup.status, 502);
+  } finally {
+    twilioFailure = null;
+  }
+
+  // Twilio answers with an error: still 502, and nothing claims the call ended
+  twilioFailure = { status: 404, body: { code: 20404, message: "The requested resource was not found" } };
+  try {
+    const refused = await fetch(`${relaybot.url}/api/live/${callSid}/hangup`, {
+      method: "POST",
+      headers: { Authorization: "Bearer api-secret" },
+    });
+    assert.equal(refused.status, 502);
+    assert.equal(
+      (await refused.json()).error,
+      "Twilio could not end the call: Twilio answered 404: The requested resource was not found"
+    );
+  } finally {
+    twilioFailure = null;
+  }
+  assert.equal(chatPosts(posted).filter((t) => /Hung up from the dashboard/.test(t)).length, 0);
+
+  // Hang-up button
+  const hangup = await fetch(`${relaybot.url}/api/live/${callSid}/hangup`, {
+    method: "POST",
+    headers: { Authorization: "Bearer api-secret" },
+  });
+  assert.equal(hangup.status, 200);
+  await waitFor(() => hangupRequest(callSid), { what: "Twilio hangup" });
+  await waitForPost(/📴 Hung up from the dashboard/, posted);
+
+  stream.stop();
+  await waitFor(() => live.events.find((e) => e.event === "ended" && e.data.id === callSid), { what: "ended event" });
+  await waitForPost(/📄 Full transcript/, posted);
+  stream.close();
+  live.close();
+});
+
+test("leaves a voicemail after the beep, and reports hang-ups that Twilio fails", async () => {
+  const { callSid, stream, oai, posted } = await placeCall("call 4355551252 and tell Pat the order shipped");
+  await postTwilio("/twilio/amd", { CallSid: callSid, AnsweredBy: "machine_end_beep" });
+
+  const update = await waitFor(() => oai.ofType("session.update").find((e) => e.session.turn_detection === null), {
+    what: "voicemail instructions",
+  });
+  assert.match(update.session.instructions, /reached a voicemail box[^]*the order shipped/);
+  await waitFor(() => oai.ofType("response.create").length >= 2, { what: "voicemail response" });
+  oai.send({ type: "response.done", response: { id: "resp_voicemail" } });
+  await waitFor(() => hangupRequest(callSid), { what: "hang-up after the voicemail" });
+  await waitForPost(/📼 Left voicemail for \+14355551252/, posted);
+  stream.stop();
+  stream.close();
+  await waitFor(async () => (await (await api("/api/calls?number=4355551252")).json()).calls[0]?.status === "voicemail", {
+    what: "voicemail status",
+  });
+
+  // Twilio refuses the hang-up after a voicemail
+  const refused = await placeCall("call 4355551254 and tell Pat the order shipped");
+  await postTwilio("/twilio/amd", { CallSid: refused.callSid, AnsweredBy: "machine_end_beep" });
+  await waitFor(() => refused.oai.ofType("response.create").length >= 2, { what: "voicemail response" });
+  twilioFailure = { status: 500, body: { code: 20500, message: "Internal Server Error" } };
+  try {
+    refused.oai.send({ type: "response.done", response: { id: "resp_voicemail_refused" } });
+    await waitForPost(
+      /⚠️ Left voicemail for \+14355551254, but Twilio could not hang up \(Twilio answered 500: Internal Server Error\)\./,
+      refused.posted
+    );
+  } finally {
+    twilioFailure = null;
+  }
+  assert.equal(chatPosts(refused.posted).filter((t) => /📼 Left voicemail for \+14355551254/.test(t)).length, 0);
+  refused.stream.stop();
+  refused.stream.close();
+
+  // A fax verdict that arrives before the stream starts; the hang-up fails
+  const placed = twilioApi.requests.length;
+  const faxPosted = groupme.requests.length;
+  await confirmCommand("call 4355551253 and tell Pat the order shipped");
+  const create = await waitFor(() => twilioApi.requests.slice(placed).find((r) => r.url.endsWith("/Calls.json")), {
+    what: "Twilio call to be placed",
+  });
+  const faxSid = sidFor(create);
+  await postTwilio("/twilio/amd", { CallSid: faxSid, AnsweredBy: "fax" });
+
+  twilioFailure = { drop: true };
+  try {
+    const { url, params } = parseStreamTwiml(create.body.Twiml);
+    const fax = new FakeTwilioStream(`ws://127.0.0.1:${relaybot.port}${new URL(url).pathname}`);
+    await fax.connect();
+    fax.start({ callSid: faxSid, streamSid: `MZ${faxSid.slice(2)}`, customParameters: params });
+    await waitForPost(/📠 \+14355551253 answered with a fax tone; Twilio could not hang up \(.*socket hang up\)\./, faxPosted);
+    fax.stop();
+    fax.close();
+  } finally {
+    twilioFailure = null;
+  }
+  assert.equal(chatPosts(faxPosted).filter((t) => /fax tone; hung up/.test(t)).length, 0);
+  assert.equal(await (await fetch(relaybot.url)).text(), "OK"); // still up
+});
+
+test("answers an inbound call, takes a message and posts the message card", async () => {
+  const fields = { CallSid: "CAinbound1", From: "+14355551270", To: "+14355550001" };
+  const unsigned = await fetch(`${relaybot.url}/twiml`, { method: "POST", body: new URLSearchParams(fields) });
+  assert.equal(unsigned.status, 403);
+
+  const posted = groupme.requests.length;
+  const { status, twiml } = await postTwilio("/twiml", fields);
+  assert.equal(status, 200);
+  const { url, params } = parseStreamTwiml(twiml);
+  assert.match(url, /^wss:\/\/127\.0\.0\.1:\d+\/twilio\/[^/]+$/);
+  assert.deepEqual(params, { mode: "inbound", from: "+14355551270" });
+
+  const realtimeCount = realtime.connections.length;
+  const stream = new FakeTwilioStream(`ws://127.0.0.1:${relaybot.port}${new URL(url).pathname}`);
+  await stream.connect();
+  stream.start({ callSid: fields.CallSid, streamSid: "MZinbound1", customParameters: params });
+  const oai = await waitFor(() => realtime.connections[realtimeCount], { what: "Realtime connection" });
+
+  const label = (await waitForPost(/📞 Incoming call from \+14355551270/, posted)).match(/^\[(#\d+)\]/)[1];
+  const instructions = await waitFor(
+    () => oai.ofType("session.update").map((m) => m.session.instructions).find((i) => /incoming call to Oscar's phone/.test(i)),
+    { what: "inbound instructions" }
+  );
+  assert.match(instructions, /Caller ID shows \+14355551270/);
+  assert.equal(twilioApi.requests.filter((r) => r.body?.To === "+14355551270").length, 0); // nothing dialed
+
+  oai.send({
+    type: "conversation.item.input_audio_transcription.completed",
+    item_id: "item_inbound",
+    transcript: "Hi, this is Jordan Diaz about the roof quote. Call me back at 435 555 9876.",
+  });
+  stream.stop();
+
+  const card = await waitForPost(/📬 New message for Oscar/, posted);
+  assert.equal(
+    card,
+    `[${label}] 📬 New message for Oscar\nFrom: Jordan Diaz\nCallback: 4355559876\nReason: the roof quote\n` +
+      "Message: Jordan has the roof quote ready and wants to go over it."
+  );
+  await waitForPost(/📄 Full transcript:\n[^]*Jordan Diaz about the roof quote/, posted);
+  stream.close();
+
+  const record = await waitFor(
+    async () => {
+      const { calls } = await (await api("/api/calls?number=4355551270")).json();
+      return calls[0]?.message && calls[0];
+    },
+    { what: "inbound call record" }
+  );
+  assert.equal(record.direction, "inbound");
+  assert.equal(record.message.name, "Jordan Diaz");
+});
+
+test("adds up each call's cost, warns at 80% of the monthly budget and then blocks new calls", async () => {
+  const before = await (await api("/api/usage")).json();
+  const { callSid, stream, oai, posted } = await placeCall("call 4355551250 and tell Pat the boxes are packed");
+
+  // 1k text tokens in, 45k audio tokens out
+  oai.send({
+    type: "response.done",
+    response: {
+      id: "resp_usage",
+      usage: {
+        input_tokens: 1000,
+        output_tokens: 45000,
+        input_token_details: { text_tokens: 1000, audio_tokens: 0 },
+        output_token_details: { text_tokens: 0, audio_tokens: 45000 },
+      },
+    },
+  });
+  stream.stop();
+  await waitForPost(/⚠️ 9\d% of this month's \$1\.00 budget is used/, posted);
+
+  await postTwilio("/twilio/status", { CallSid: callSid, CallStatus: "completed", CallDuration: "600", To: "+14355551250" });
+  await waitForPost(/🛑 This month's budget of \$1\.00 is used up \(\$1\.\d\d spent\)\. New calls are blocked/, posted);
+  stream.close();
+
+  const { calls: [record] } = await (await api("/api/calls?number=4355551250")).json();
+  assert.deepEqual(record.usage.realtime, { inputTokens: 1000, outputTokens: 45000, usd: 0.9006 });
+  assert.deepEqual(record.usage.twilio, { seconds: 600, usd: 0.14 });
+
+  const after = await (await api("/api/usage")).json();
+  assert.equal(after.budgetUsd, 1);
+  assert.equal((after.totalUsd - before.totalUsd).toFixed(4), "1.0406");
+  assert.ok(after.requesters.some((r) => r.name === "Oscar" && r.usd >= 1.0406));
+  assert.equal((await api("/api/usage?month=October")).status, 400);
+
+  await sendCommand("usage");
+  await waitForPost(/💰 Usage for \w+ \d{4}: \$1\.\d\d of \$1\.00 budget \(10\d%\)[^]*By requester:\n• Oscar — /, posted);
+
+  await sendCommand("call 4355551251 and tell Pat hi");
+  const refused = await waitForPost(/Not calling \+14355551251\. 💰 This month's budget of \$1\.00 is used up/, posted);
+  assert.doesNotMatch(refused, /override/);
+
+  // Not even an admin can override the budget
+  const since = groupme.requests.length;
+  const placed = twilioApi.requests.length;
+  await sendCommand("override: call 4355551251 and tell Pat hi", { userId: "u-admin", name: "Ada" });
+  await waitForPost(/Not calling \+14355551251\. 💰 This month's budget of \$1\.00 is used up/, since);
+  assert.equal(twilioApi.requests.slice(placed).filter((r) => r.url.endsWith("/Calls.json")).length, 0);
+});
+
+test("exposes Prometheus metrics and logs JSON lines tagged with the call's sid", async () => {
+  const res = await api("/metrics");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  const metrics = await res.text();
+
+  const value = (series) => Number(metrics.match(new RegExp(`^${series.replace(/[{}"]/g, "\\$&")} (\\S+)$`, "m"))?.[1]);
+  assert.equal(value("relaybot_active_calls"), 0);
+  assert.ok(value('relaybot_calls_total{direction="outbound",outcome="callback_requested"}') >= 1);
+  assert.ok(value('relaybot_calls_total{direction="outbound",outcome="no-answer"}') >= 1);
+  assert.ok(value('relaybot_first_audio_seconds_count{direction="outbound"}') >= 1);
+  assert.ok(value("relaybot_barge_ins_total") >= 1);
+  assert.ok(value('relaybot_openai_errors_total{kind="dropped"}') >= 2);
+  assert.ok(value("relaybot_realtime_fallbacks_total") >= 1);
+  assert.ok(value("relaybot_summary_seconds_count") >= 1);
+  assert.match(metrics, /^# TYPE relaybot_chat_post_failures_total counter$/m);
+  assert.equal((await fetch(`${relaybot.url}/metrics`)).status, 401);
+
+  const lines = relaybot.output().split("\n").filter((l) => l.startsWith("{")).map((l) => JSON.parse(l));
+  const started = lines.find((l) => l.msg === "Media stream started" && l.callSid === "CA1");
+  assert.equal(started.level, "info");
+  assert.equal(started.call, "#1");
+  assert.ok(lines.some((l) => l.msg === "Call status" && l.callSid && l.status));
+});
+
+test("keeps the API, dashboard and metrics closed when API_TOKEN is not set", async () => {
+  const open = await startRelaybot({ TWILIO_AUTH_TOKEN: "twilio-secret" });
+  try {
+    for (const path of ["/api/calls", "/api/calls/1", "/api/calls/1/recording", "/api/usage", "/dashboard", "/metrics"]) {
+      const res = await fetch(`${open.url}${path}`);
+      assert.equal(res.status, 503, path);
+    }
+    const placed = await fetch(`${open.url}/api/calls`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ target: "4355551212", message: "hi" }),
+    });
+    assert.equal(placed.status, 503);
+    assert.equal((await fetch(`${open.url}/api/calls/1/recording`, { method: "DELETE" })).status, 503);
+  } finally {
+    await open.stop();
+  }
+});
+
+test("refuses calls in the callee's quiet hours, by their area code's time zone, unless an admin overrides", async () => {
+  const chat = await startStubServer();
+  const quiet = await startRelaybot({
+    TWILIO_AUTH_TOKEN: "twilio-secret",
+    GROUPME_API_BASE: chat.url,
+    GROUPME_BOT_ID: "bot-test",
+    GROUPME_ALLOWED_GROUP_IDS: "g1",
+    ADMIN_USER_IDS: "u-admin",
+    TIMEZONE: "America/Denver",
+    QUIET_HOURS: "21:00-08:00",
+  });
+  // No OPENAI_API_KEY, so "call … and tell …" is scheduled without a plan to confirm
+  const send = async (text, userId = "u1") => {
+    const posted = chat.requests.length;
+    await fetch(`${quiet.url}/groupme`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text, user_id: userId, group_id: "g1", name: "Oscar" }),
+    });
+    return waitFor(() => chat.requests[posted]?.body.text, { what: `reply to "${text}"` });
+  };
+
+  try {
+    assert.match(
+      await send("call 4355551260 tomorrow at 7:30am and tell Pat hi"),
+      /^Not calling \+14355551260\. 🌙 That's \w{3}, \w{3} \d+, 7:30\sAM M[SD]T for \+14355551260 \(America\/Denver\); quiet hours are 21:00-08:00\.\nAn admin can send/
+    );
+    assert.match(await send("call 4355551260 tomorrow at 8am and tell Pat hi"), /^⏰ Scheduled call \d+: \+14355551260 at/);
+
+    // 6:30am in Denver is 8:30am in New York, and 7:30pm is 9:30pm there
+    assert.match(await send("call 2125551260 tomorrow at 6:30am and tell Pat hi"), /^⏰ Scheduled call \d+: \+12125551260 at/);
+    assert.match(await send("call 4355551260 tomorrow at 6:30am and tell Pat hi"), /🌙/);
+    assert.match(
+      await send("call 2125551260 tomorrow at 7:30pm and tell Pat hi"),
+      /^Not calling \+12125551260\. 🌙 That's \w{3}, \w{3} \d+, 9:30\sPM E[SD]T for \+12125551260 \(America\/New_York\)/
+    );
+    assert.match(await send("call 4355551260 tomorrow at 7:30pm and tell Pat hi"), /^⏰ Scheduled call \d+: \+14355551260 at/);
+
+    assert.match(await send("override: call 4355551260 tomorrow at 7:30am and tell Pat hi"), /🔒 Only an admin/);
+    assert.match(
+      await send("override: call 4355551260 tomorrow at 7:30am and tell Pat hi", "u-admin"),
+      /^⏰ Scheduled call \d+: \+14355551260 at \w{3}, \w{3} \d+, 7:30\sAM M[SD]T/
+    );
+    assert.match(await send("scheduled"), /^Scheduled calls \(4\):/);
+  } finally {
+    await quiet.stop();
+    await chat.close();
+  }
+});
+
+test("redials a call that was not answered or busy, up to RETRY_MAX times", async () => {
+  const chat = await startStubServer();
+  let sids = 0;
+  const twilio = await startStubServer((req) =>
+    req.url.endsWith("/Calls.json") ? { status: 201, body: { sid: `CAretry${++sids}`, status: "queued" } } : {}
+  );
+  const retrying = await startRelaybot({
+    TWILIO_API_BASE: twilio.url,
+    TWILIO_ACCOUNT_SID: "ACtest",
+    TWILIO_AUTH_TOKEN: "twilio-secret",
+    GROUPME_API_BASE: chat.url,
+    GROUPME_BOT_ID: "bot-test",
+    GROUPME_ALLOWED_GROUP_IDS: "g1",
+    API_TOKEN: "api-secret",
+    QUIET_HOURS: "off",
+    RETRY_MAX: "1",
+    RETRY_DELAY_MINUTES: "0",
+    SCHEDULER_POLL_MS: "50",
+  });
+  const posts = () => chat.requests.map((r) => r.body.text);
+  const creates = () => twilio.requests.filter((r) => r.url.endsWith("/Calls.json"));
+  const status = (CallSid, CallStatus) => {
+    const fields = { CallSid, CallStatus, To: "+14355551280" };
+    return fetch(`${retrying.url}/twilio/status`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "X-Twilio-Signature": twilioSignature("twilio-secret", `https://127.0.0.1:${retrying.port}/twilio/status`, fields),
+      },
+      body: new URLSearchParams(fields),
+    });
+  };
+
+  try {
+    await fetch(`${retrying.url}/groupme`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: "call 4355551280 and tell Pat the car is ready", user_id: "u1", group_id: "g1", name: "Oscar" }),
+    });
+    await waitFor(() => creates()[0], { what: "first call" });
+
+    await status("CAretry1", "no-answer");
+    await waitFor(() => posts().find((t) => /^🔁 Will retry \+14355551280 at .+ \(attempt 2 of 2, scheduled call \d+\)\.$/.test(t)), {
+      what: "retry notice",
+    });
+    const second = await waitFor(() => creates()[1], { what: "second call" });
+    assert.equal(second.body.To, "+14355551280");
+    assert.ok(posts().some((t) => /^🔁 Retrying call \d+\.$/.test(t)));
+    await waitFor(() => posts().find((t) => /^Calling \+14355551280 now \(attempt 2\) and saying: "Pat the car is ready"/.test(t)), {
+      what: "second attempt notice",
+    });
+
+    // Out of attempts
+    await status("CAretry2", "busy");
+    await waitFor(() => posts().includes("📵 +14355551280 was busy."), { what: "busy notice" });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.equal(creates().length, 2);
+    assert.equal(posts().filter((t) => t.startsWith("🔁 Will retry")).length, 1);
+
+    const { calls } = await (
+      await fetch(`${retrying.url}/api/calls?number=4355551280`, { headers: { Authorization: "Bearer api-secret" } })
+    ).json();
+    assert.deepEqual(calls.map((c) => c.status).sort(), ["busy", "no-answer"]);
+  } finally {
+    await retrying.stop();
+    await Promise.all([chat.close(), twilio.close()]);
+  }
+});
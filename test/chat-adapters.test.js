@@ -0,0 +1,154 @@
+// Chat transports end to end: each adapter verifies its platform's signature
+// or secret, and the reply to a command goes back to the channel it came from.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { waitFor, startStubServer, startRelaybot } from "./helpers/fakes.js";
+
+let slackApi;
+let telegramApi;
+let discordApi;
+let webhookOut;
+let groupmeApi;
+let relaybot;
+
+const discordKeys = crypto.generateKeyPairSync("ed25519");
+// The raw 32-byte key is the tail of the SPKI encoding
+const discordPublicKey = discordKeys.publicKey.export({ format: "der", type: "spki" }).subarray(-32).toString("hex");
+
+before(async () => {
+  slackApi = await startStubServer(() => ({ body: { ok: true } }));
+  telegramApi = await startStubServer(() => ({ body: { ok: true } }));
+  discordApi = await startStubServer();
+  webhookOut = await startStubServer();
+  groupmeApi = await startStubServer();
+
+  relaybot = await startRelaybot({
+    SLACK_SIGNING_SECRET: "slack-secret",
+    SLACK_BOT_TOKEN: "xoxb-test",
+    SLACK_API_BASE: slackApi.url,
+    SLACK_ALLOWED_CHANNEL_IDS: "C123",
+    TELEGRAM_SECRET_TOKEN: "telegram-secret",
+    TELEGRAM_BOT_TOKEN: "tg-token",
+    TELEGRAM_API_BASE: telegramApi.url,
+    TELEGRAM_ALLOWED_CHAT_IDS: "42",
+    DISCORD_PUBLIC_KEY: discordPublicKey,
+    DISCORD_BOT_TOKEN: "discord-token",
+    DISCORD_API_BASE: discordApi.url,
+    DISCORD_ALLOWED_CHANNEL_IDS: "D1",
+    WEBHOOK_SECRET: "webhook-secret",
+    WEBHOOK_OUTBOUND_URL: `${webhookOut.url}/hook`,
+    WEBHOOK_ALLOWED_CHANNEL_IDS: "ops",
+    // No GroupMe allowlist: nobody may command the bot over GroupMe
+    GROUPME_SHARED_SECRET: "groupme-secret",
+    GROUPME_BOT_ID: "bot-test",
+    GROUPME_API_BASE: groupmeApi.url,
+  });
+});
+
+after(async () => {
+  await relaybot?.stop();
+  await Promise.all([slackApi, telegramApi, discordApi, webhookOut, groupmeApi].map((s) => s?.close()));
+});
+
+function post(path, body, headers = {}) {
+  return fetch(`${relaybot.url}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body,
+  });
+}
+
+function slackHeaders(body, { secret = "slack-secret", ts = Math.floor(Date.now() / 1000) } = {}) {
+  const sig = crypto.createHmac("sha256", secret).update(`v0:${ts}:${body}`).digest("hex");
+  return { "X-Slack-Request-Timestamp": String(ts), "X-Slack-Signature": `v0=${sig}` };
+}
+
+function discordHeaders(body, privateKey = discordKeys.privateKey) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString("hex");
+  return { "X-Signature-Ed25519": signature, "X-Signature-Timestamp": timestamp };
+}
+
+test("slack: checks the signing secret and replies in the channel the message came from", async () => {
+  const challenge = JSON.stringify({ type: "url_verification", challenge: "abc" });
+  const verified = await post("/chat/slack", challenge, slackHeaders(challenge));
+  assert.deepEqual(await verified.json(), { challenge: "abc" });
+
+  const body = JSON.stringify({ event: { type: "message", text: "calls", user: "U1", channel: "C123" } });
+  assert.equal((await post("/chat/slack", body, slackHeaders(body, { secret: "wrong" }))).status, 403);
+  assert.equal((await post("/chat/slack", body, slackHeaders(body, { ts: Math.floor(Date.now() / 1000) - 600 }))).status, 403);
+  assert.equal((await post("/chat/slack", body, {})).status, 403);
+  assert.equal(slackApi.requests.length, 0);
+
+  assert.equal((await post("/chat/slack", body, slackHeaders(body))).status, 200);
+  const reply = await waitFor(() => slackApi.requests.find((r) => r.url === "/chat.postMessage"), { what: "Slack reply" });
+  assert.deepEqual(reply.body, { channel: "C123", text: "No active calls." });
+  assert.equal(reply.headers.authorization, "Bearer xoxb-test");
+
+  // Slack's retries of an event already handled are ignored
+  await post("/chat/slack", body, { ...slackHeaders(body), "X-Slack-Retry-Num": "1" });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(slackApi.requests.length, 1);
+});
+
+test("telegram: checks the secret token and replies to the same chat", async () => {
+  const body = JSON.stringify({ message: { text: "/calls@relaybot", from: { id: 7, first_name: "Pat" }, chat: { id: 42 } } });
+  assert.equal((await post("/chat/telegram", body, { "X-Telegram-Bot-Api-Secret-Token": "wrong" })).status, 403);
+  assert.equal((await post("/chat/telegram", body)).status, 403);
+
+  assert.equal((await post("/chat/telegram", body, { "X-Telegram-Bot-Api-Secret-Token": "telegram-secret" })).status, 200);
+  const reply = await waitFor(() => telegramApi.requests[0], { what: "Telegram reply" });
+  assert.equal(reply.url, "/bottg-token/sendMessage");
+  assert.deepEqual(reply.body, { chat_id: "42", text: "No active calls." });
+});
+
+test("discord: checks the Ed25519 signature, answers pings and replies in the channel", async () => {
+  const ping = JSON.stringify({ type: 1 });
+  assert.deepEqual(await (await post("/chat/discord", ping, discordHeaders(ping))).json(), { type: 1 });
+
+  const body = JSON.stringify({
+    type: 2,
+    channel_id: "D1",
+    member: { user: { id: "99", username: "pat" } },
+    data: { options: [{ value: "calls" }] },
+  });
+  const forged = discordHeaders(body, crypto.generateKeyPairSync("ed25519").privateKey);
+  assert.equal((await post("/chat/discord", body, forged)).status, 403);
+  assert.equal((await post("/chat/discord", body)).status, 403);
+
+  const res = await post("/chat/discord", body, discordHeaders(body));
+  assert.deepEqual(await res.json(), { type: 4, data: { content: "> calls" } });
+  const reply = await waitFor(() => discordApi.requests[0], { what: "Discord reply" });
+  assert.equal(reply.url, "/channels/D1/messages");
+  assert.equal(reply.headers.authorization, "Bot discord-token");
+  assert.deepEqual(reply.body, { content: "No active calls." });
+});
+
+test("webhook: checks the shared secret and replies to the same channel", async () => {
+  const body = JSON.stringify({ text: "calls", sender: { id: "s1", name: "Pat" }, channel: "ops" });
+  assert.equal((await post("/chat/webhook", body, { "X-Webhook-Secret": "wrong" })).status, 403);
+
+  assert.equal((await post("/chat/webhook", body, { "X-Webhook-Secret": "webhook-secret" })).status, 200);
+  const reply = await waitFor(() => webhookOut.requests[0], { what: "webhook reply" });
+  assert.equal(reply.url, "/hook");
+  assert.equal(reply.headers["x-webhook-secret"], "webhook-secret");
+  assert.deepEqual(reply.body, { channel: "ops", text: "No active calls." });
+
+  // Nothing leaked to the other transports
+  assert.equal(slackApi.requests.length, 1);
+  assert.equal(telegramApi.requests.length, 1);
+  assert.equal(discordApi.requests.length, 1);
+});
+
+test("groupme: checks the shared secret and ignores everyone when no allowlist is set", async () => {
+  const body = JSON.stringify({ text: "calls", user_id: "u1", group_id: "g1", name: "Pat" });
+  assert.equal((await post("/groupme?secret=wrong", body)).status, 403);
+  assert.equal((await post("/groupme", body)).status, 403);
+
+  assert.equal((await post("/groupme", body, { "X-Shared-Secret": "groupme-secret" })).status, 200);
+  await waitFor(() => relaybot.output().includes('"msg":"Rejected chat command"'), { what: "rejection log" });
+  assert.match(relaybot.output(), /"reason":"no allowlist configured"/);
+  assert.equal(groupmeApi.requests.length, 0);
+});
@@ -0,0 +1,49 @@
+// "call …" chat commands
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCallCommand, splitQuestions } from "../lib/commands.js";
+
+test("reads the target, time and message", () => {
+  assert.deepEqual(parseCallCommand("call 4355551212 at 3pm tomorrow and tell Dr. Lee the results are ready"), {
+    target: "4355551212",
+    when: "at 3pm tomorrow",
+    language: null,
+    prompt: "Dr. Lee the results are ready",
+    goal: "message",
+  });
+  assert.deepEqual(parseCallCommand("Call Pat, tell her I'm running late."), {
+    target: "Pat",
+    when: null,
+    language: null,
+    prompt: "her I'm running late",
+    goal: "message",
+  });
+});
+
+test("only takes a time when the words parse as one", () => {
+  assert.equal(parseCallCommand("call Pat at home and tell her hi").target, "Pat at home");
+  assert.equal(parseCallCommand("call Pat at home and tell her hi").when, null);
+  assert.equal(parseCallCommand("call mom monthly and tell her hi").when, null);
+  assert.equal(parseCallCommand("call mom on monday at 9am and tell her hi").when, "on monday at 9am");
+});
+
+test("pulls out the language", () => {
+  const command = parseCallCommand("call Pat at 3pm in Spanish and tell her hi");
+  assert.equal(command.target, "Pat");
+  assert.equal(command.when, "at 3pm");
+  assert.equal(command.language, "Spanish");
+});
+
+test("ask: gathers answers to questions", () => {
+  const command = parseCallCommand("call the pharmacy and ask: is it ready? what time do they close");
+  assert.equal(command.goal, "questions");
+  assert.deepEqual(splitQuestions(command.prompt), ["is it ready?", "what time do they close?"]);
+  assert.equal(parseCallCommand("call Pat and ask her to call back").goal, "message");
+});
+
+test("ignores text that is not a call command", () => {
+  assert.equal(parseCallCommand("calls"), null);
+  assert.equal(parseCallCommand("call Pat"), null);
+  assert.equal(parseCallCommand(""), null);
+});
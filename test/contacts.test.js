@@ -0,0 +1,30 @@
+// Address book lookups and removal
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "relaybot-contacts-"));
+const { addContact, removeContact, resolveContact, listContacts } = await import("../lib/contacts.js");
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test("finds contacts by partial or misspelled name", () => {
+  addContact("Patricia Smith", "+14355551212");
+  addContact("Dr. Lee", "+14355551213");
+
+  assert.equal(resolveContact("pat").contact.name, "Patricia Smith");
+  assert.equal(resolveContact("lee").contact.name, "Dr. Lee");
+  assert.equal(resolveContact("Patrica").contact.name, "Patricia Smith");
+});
+
+test("removes only an exact name match", () => {
+  assert.equal(removeContact("Pat"), null);
+  assert.ok(listContacts().some((c) => c.name === "Patricia Smith"));
+
+  assert.equal(removeContact("patricia smith").name, "Patricia Smith");
+  assert.equal(removeContact("Lee").name, "Dr. Lee"); // titles are ignored
+  assert.deepEqual(listContacts(), []);
+});
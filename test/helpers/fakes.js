@@ -0,0 +1,198 @@
+// test/helpers/fakes.js — local stand-ins for everything the server talks to
+//
+// - startStubServer: records HTTP requests (GroupMe, Twilio REST, chat completions)
+// - startFakeRealtime: a WebSocket server speaking just enough of the Realtime API
+// - FakeTwilioStream: a Media Streams client sending connected/start/media/stop
+// - startRelaybot: runs server.js in a child process pointed at the fakes
+
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { WebSocketServer, WebSocket } from "ws";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// Poll until check() returns something truthy, or fail after timeoutMs
+export async function waitFor(check, { timeoutMs = 5000, what = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+function parseBody(req, raw) {
+  const type = req.headers["content-type"] || "";
+  if (type.includes("application/json")) return JSON.parse(raw || "{}");
+  if (type.includes("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  return raw;
+}
+
+// === HTTP stubs ===
+// respond(req) returns { status, body } (body is sent as JSON), or { drop: true }
+// to cut the connection like a network failure; defaults to 200 {}
+export async function startStubServer(respond = () => ({})) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      const entry = { method: req.method, url: req.url, headers: req.headers, body: parseBody(req, raw) };
+      requests.push(entry);
+
+      const { status = 200, body = {}, drop = false } = (await respond(entry)) || {};
+      if (drop) return req.socket.destroy();
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  const port = await listen(server);
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// === Realtime API ===
+// Set `refuse` on the returned object to turn new connections away (503)
+export async function startFakeRealtime() {
+  const server = http.createServer();
+  const connections = [];
+  const fake = { refuse: false };
+  const wss = new WebSocketServer({ server, verifyClient: (_info, done) => done(!fake.refuse, 503) });
+
+  wss.on("connection", (ws, req) => {
+    const conn = {
+      url: req.url,
+      headers: req.headers,
+      received: [],
+      send: (event) => ws.send(JSON.stringify(event)),
+      drop: () => ws.terminate(),
+      ofType: (type) => conn.received.filter((e) => e.type === type),
+    };
+    ws.on("message", (data) => conn.received.push(JSON.parse(data.toString())));
+    connections.push(conn);
+  });
+
+  const port = await listen(server);
+  return Object.assign(fake, {
+    url: `ws://127.0.0.1:${port}/v1/realtime`,
+    connections,
+    close: () =>
+      new Promise((resolve) => {
+        for (const client of wss.clients) client.terminate();
+        wss.close(() => server.close(resolve));
+      }),
+  });
+}
+
+// === Twilio Media Streams ===
+// Pulls the stream URL and <Parameter>s out of the TwiML placed with a call
+export function parseStreamTwiml(twiml) {
+  const url = twiml.match(/<Stream url="([^"]+)"/)[1];
+  const params = {};
+  for (const [, name, value] of twiml.matchAll(/<Parameter name="([^"]+)" value="([^"]*)"/g)) {
+    params[name] = value.replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+  }
+  return { url, params };
+}
+
+export class FakeTwilioStream {
+  constructor(url) {
+    this.url = url;
+    this.received = [];
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(this.url);
+      this.ws.on("message", (data) => this.received.push(JSON.parse(data.toString())));
+      this.ws.once("open", resolve);
+      this.ws.once("unexpected-response", (_req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+      this.ws.once("error", reject);
+    });
+  }
+
+  send(event) {
+    this.ws.send(JSON.stringify(event));
+  }
+
+  start({ callSid, streamSid, customParameters = {} }) {
+    this.streamSid = streamSid;
+    this.send({ event: "connected", protocol: "Call", version: "1.0.0" });
+    this.send({
+      event: "start",
+      streamSid,
+      start: { callSid, streamSid, tracks: ["inbound"], customParameters },
+    });
+  }
+
+  media(payload = "//8=") {
+    this.send({ event: "media", streamSid: this.streamSid, media: { track: "inbound", payload } });
+  }
+
+  stop() {
+    this.send({ event: "stop", streamSid: this.streamSid });
+  }
+
+  ofEvent(event) {
+    return this.received.filter((m) => m.event === event);
+  }
+
+  close() {
+    this.ws?.close();
+  }
+}
+
+// === The server under test ===
+export async function startRelaybot(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "relaybot-test-"));
+  let output = "";
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: "0",
+      DATA_DIR: dataDir,
+      SCHEDULER_POLL_MS: "60000",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  const port = await waitFor(() => output.match(/"msg":"Server listening","port":(\d+)/)?.[1], {
+    what: "server to listen",
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    port: Number(port),
+    dataDir,
+    output: () => output,
+    stop: () =>
+      new Promise((resolve) => {
+        child.once("exit", () => {
+          fs.rmSync(dataDir, { recursive: true, force: true });
+          resolve();
+        });
+        child.kill();
+      }),
+  };
+}
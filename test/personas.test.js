@@ -0,0 +1,24 @@
+// Persona templates
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fillTemplate } from "../lib/personas.js";
+
+const persona = { owner: "Oscar", pronoun: "his" };
+
+test("fills owner, name and message", () => {
+  assert.equal(
+    fillTemplate('Hi {name}, {owner} says: "{message}"', { persona, name: "Pat", message: "the results are ready" }),
+    'Hi Pat, Oscar says: "the results are ready"'
+  );
+  assert.equal(fillTemplate("Hi {name}, this is {owner}.", { persona }), "Hi, this is Oscar.");
+});
+
+test("keeps replacement patterns and placeholders typed into the message", () => {
+  const message = "the price is $& or $1, $$ off {owner}";
+  assert.equal(fillTemplate("{owner}: {message}", { persona, message }), `Oscar: ${message}`);
+});
+
+test("numbers the questions", () => {
+  assert.equal(fillTemplate("Ask:\n{questions}", { persona, questions: ["Open?", "Until when?"] }), "Ask:\n1. Open?\n2. Until when?");
+});
@@ -0,0 +1,65 @@
+// Scheduled calls: persistence, rescheduling and running due jobs
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { waitFor } from "./helpers/fakes.js";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "relaybot-scheduler-"));
+const { scheduleJob, listJobs, getJob, cancelJob, rescheduleJob, startScheduler, stopScheduler } = await import(
+  "../lib/scheduler.js"
+);
+
+after(() => {
+  stopScheduler();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function saved() {
+  return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, "scheduled.json"), "utf8")).jobs;
+}
+
+const hour = 60 * 60 * 1000;
+
+test("keeps jobs on disk in run order", () => {
+  const later = scheduleJob({ to: "+14355551212", prompt: "later", runAt: Date.now() + 2 * hour, requester: "u1" });
+  const sooner = scheduleJob({ to: "+14355551213", prompt: "sooner", runAt: Date.now() + hour });
+
+  assert.equal(sooner.id, later.id + 1);
+  assert.equal(getJob(later.id).requester, "u1");
+  assert.deepEqual(listJobs().map((j) => j.prompt), ["sooner", "later"]);
+  assert.deepEqual(saved().map((j) => j.id), [later.id, sooner.id]);
+});
+
+test("reschedules and cancels by id", () => {
+  const [sooner, later] = listJobs();
+  const runAt = new Date(Date.now() + 3 * hour);
+
+  assert.equal(rescheduleJob(sooner.id, runAt).runAt, runAt.toISOString());
+  assert.deepEqual(listJobs().map((j) => j.prompt), ["later", "sooner"]);
+  assert.equal(saved().find((j) => j.id === sooner.id).runAt, runAt.toISOString());
+
+  assert.equal(cancelJob(later.id).prompt, "later");
+  assert.equal(cancelJob(later.id), null);
+  assert.equal(rescheduleJob(later.id, runAt), null);
+  assert.deepEqual(saved().map((j) => j.prompt), ["sooner"]);
+});
+
+test("runs each due job once and keeps the rest", async () => {
+  const due = scheduleJob({ to: "+14355551214", prompt: "due", runAt: Date.now() - 1000 });
+  const ran = [];
+  startScheduler(async (job) => {
+    ran.push(job.id);
+    throw new Error("Twilio is down"); // a failing job doesn't stop the poller
+  }, 20);
+
+  await waitFor(() => ran.length, { what: "due job to run" });
+  scheduleJob({ to: "+14355551215", prompt: "due next", runAt: Date.now() });
+  await waitFor(() => ran.length === 2, { what: "next due job to run" });
+
+  assert.equal(ran[0], due.id);
+  assert.deepEqual(listJobs().map((j) => j.prompt), ["sooner"]);
+  assert.deepEqual(saved().map((j) => j.prompt), ["sooner"]);
+});
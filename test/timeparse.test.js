@@ -0,0 +1,58 @@
+// Time phrases for scheduled calls, read in America/Denver
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWhen } from "../lib/timeparse.js";
+
+const TZ = "America/Denver";
+const now = new Date("2026-10-16T21:00:00Z"); // Friday 3:00pm MDT
+
+function when(text) {
+  return parseWhen(text, now, TZ)?.toISOString() ?? null;
+}
+
+test("reads relative times", () => {
+  assert.equal(when("in 20 minutes"), "2026-10-16T21:20:00.000Z");
+  assert.equal(when("in an hour"), "2026-10-16T22:00:00.000Z");
+  assert.equal(when("in 2 days"), "2026-10-18T21:00:00.000Z");
+});
+
+test("a bare time that has passed today means tomorrow", () => {
+  assert.equal(when("at 4pm"), "2026-10-16T22:00:00.000Z");
+  assert.equal(when("at 9am"), "2026-10-17T15:00:00.000Z");
+  assert.equal(when("at 3"), "2026-10-17T21:00:00.000Z"); // "at 3" is the afternoon
+  assert.equal(when("tomorrow at 9:30 a.m."), "2026-10-17T15:30:00.000Z");
+  assert.equal(when("tonight"), "2026-10-17T01:00:00.000Z");
+});
+
+test("a weekday that is today and already past means next week", () => {
+  assert.equal(when("friday at 5pm"), "2026-10-16T23:00:00.000Z");
+  assert.equal(when("friday at 9am"), "2026-10-23T15:00:00.000Z");
+  assert.equal(when("fri"), "2026-10-23T15:00:00.000Z");
+  assert.equal(when("next friday at 5pm"), "2026-10-23T23:00:00.000Z");
+});
+
+test("reads weekday names and their short forms", () => {
+  assert.equal(when("monday"), "2026-10-19T15:00:00.000Z");
+  assert.equal(when("on tues at noon"), "2026-10-20T18:00:00.000Z");
+  assert.equal(when("thurs 2:30pm"), "2026-10-22T20:30:00.000Z");
+  assert.equal(when("Saturday at 10am"), "2026-10-17T16:00:00.000Z");
+});
+
+test("only matches whole weekday names", () => {
+  assert.equal(when("monthly"), null);
+  assert.equal(when("mondays"), null);
+  assert.equal(when("sundae at 3pm"), null);
+});
+
+test("reads dates across a DST change", () => {
+  assert.equal(when("2026-11-03 at 9am"), "2026-11-03T16:00:00.000Z"); // MST
+  assert.equal(when("10/30 at 9am"), "2026-10-30T15:00:00.000Z"); // MDT
+});
+
+test("rejects what it can't read", () => {
+  assert.equal(when(""), null);
+  assert.equal(when("at home"), null);
+  assert.equal(when("at 25:00"), null);
+  assert.equal(when("soonish"), null);
+});